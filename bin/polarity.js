@@ -0,0 +1,519 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const Polarity = require('../lib/polarity');
+const { parseCsv } = require('../lib/csv');
+const { loadUsersCsv } = require('../lib/users');
+const { parseChannelExport } = require('../lib/channel-export');
+const { refangRows } = require('../lib/validator');
+const { loadConfigDocument, planConfig, applyConfig, formatConfigPlan } = require('../lib/config-as-code');
+const { normalizeSearchResults, formatLookupReport } = require('../lib/lookup-report');
+
+const BOOLEAN_FLAGS = [
+  'help',
+  'insecure',
+  'admin',
+  'welcome-email',
+  'header',
+  'stop-on-invalid',
+  'ignore-errors',
+  'no-wait',
+  'dry-run',
+  'update-existing',
+  'plan',
+  'apply',
+  'rotate-secrets',
+  'user-password-stdin'
+];
+
+const USAGE = `Usage: polarity <command> <subcommand> [arguments] [options]
+
+Commands:
+  channels list
+  channels create <name> [--description <text>]
+  channels clear <name> [--no-wait]
+  channels delete <name>
+  channels export <name> [--format <csv|json|jsonl>] [--file <path>]
+  tags apply <csv-file> --channel <name> [--header] [--stop-on-invalid] [--export-format <csv|json|jsonl>]
+  integrations list
+  integrations restart <integration-directory-name>
+  integrations options <integration-id>
+  integrations export-config [<integration-id>...] [--file <path>]
+  integrations import-config <file> [--secrets <file>] [--only <id,id,...>] [--dry-run]
+  users list [--page-size <n>] [--page-number <n>]
+  users create <username> --email <email> --full-name <name> [--user-password-stdin] [--admin] [--welcome-email]
+  users provision <csv-file> [--dry-run] [--update-existing] [--welcome-email]
+  users enable <username>
+  users disable <username>
+  users delete <username>
+  search <text> --integrations <id,id,...> [--ignore-errors] [--report <csv|markdown|html>] [--file <path>]
+  config <yaml-or-json-file> [--plan [--plan-file <path>] | --apply --plan-file <path>] [--rotate-secrets]
+
+Connection options (fall back to POLARITY_HOST, POLARITY_USERNAME, POLARITY_PASSWORD and POLARITY_TOKEN):
+  --host <url>           Hostname including scheme (https://) of your Polarity server
+  --username <username>  Username for the account you want to authenticate as
+  --password <password>  Password for the provided username
+  --token <token>        API token to authenticate with instead of a username and password
+  --insecure             Allow connections to servers with untrusted/self-signed certificates
+  --proxy <url>          An HTTP proxy to be used
+
+The password for 'users create' is read from POLARITY_USER_PASSWORD or, with --user-password-stdin, from stdin.
+
+Output options:
+  --output <json|table>  Output format (defaults to json)
+  --help                 Show this message
+`;
+
+/**
+ * Splits command line arguments into positional arguments and `--flag` options.  Flags listed in
+ * `BOOLEAN_FLAGS` do not consume a value.
+ *
+ * @param argv
+ * @returns {{positionals: Array, flags: Object}}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equalsIndex = arg.indexOf('=');
+    if (equalsIndex !== -1) {
+      flags[arg.slice(2, equalsIndex)] = arg.slice(equalsIndex + 1);
+    } else if (BOOLEAN_FLAGS.includes(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else if (i + 1 < argv.length) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Missing value for option ${arg}`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+function requireArg(value, name) {
+  if (typeof value === 'undefined' || value === true || value === '') {
+    throw new Error(`Missing required argument ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Returns the password for a new user.  Passwords are not accepted as a command line argument because arguments are
+ * visible to other processes and saved in shell history.
+ */
+async function getUserPassword(flags) {
+  if (typeof flags['user-password'] !== 'undefined') {
+    throw new Error('--user-password is not supported, use POLARITY_USER_PASSWORD or --user-password-stdin instead');
+  }
+
+  if (flags['user-password-stdin'] === true) {
+    return requireArg(await readStdin(), 'password on stdin');
+  }
+
+  return requireArg(process.env.POLARITY_USER_PASSWORD, 'POLARITY_USER_PASSWORD (or --user-password-stdin)');
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks)
+    .toString('utf8')
+    .replace(/\r?\n$/, '');
+}
+
+async function requireUser(polarity, username) {
+  const user = await polarity.getUserByUsername(requireArg(username, '<username>'));
+  if (!user) {
+    throw new Error(`User "${username}" does not exist`);
+  }
+  return user;
+}
+
+/**
+ * Returns a column getter for JSON:API resources.  The `id` column reads the resource id, all other
+ * columns read from the resource's attributes.
+ */
+function resourceColumns(keys) {
+  return keys.map((key) => ({
+    header: key,
+    get: (resource) => (key === 'id' ? resource.id : resource.attributes[key])
+  }));
+}
+
+const COMMANDS = {
+  channels: {
+    list: async (polarity) => {
+      const result = await polarity.getAllChannels();
+      return { result, rows: result, columns: resourceColumns(['id', 'channel-name', 'description']) };
+    },
+    create: async (polarity, args, flags) => {
+      const channelName = requireArg(args[0], '<name>');
+      const result = await polarity.createChannel(channelName, flags.description);
+      return { result, rows: [result.data], columns: resourceColumns(['id', 'channel-name', 'description']) };
+    },
+    clear: async (polarity, args, flags) => {
+      const channelName = requireArg(args[0], '<name>');
+      const channel = await polarity.getChannel(channelName);
+      if (!channel) {
+        throw new Error(`Channel "${channelName}" does not exist`);
+      }
+      const result = await polarity.clearChannelById(channel.id, !flags['no-wait']);
+      return {
+        result,
+        rows: [{ id: channel.id, clearComplete: result.clearComplete }],
+        columns: [
+          { header: 'id', get: (row) => row.id },
+          { header: 'clear-complete', get: (row) => row.clearComplete }
+        ]
+      };
+    },
+    delete: async (polarity, args) => {
+      const channelName = requireArg(args[0], '<name>');
+      const channel = await polarity.getChannel(channelName);
+      if (!channel) {
+        throw new Error(`Channel "${channelName}" does not exist`);
+      }
+      const result = await polarity.deleteChannel(channel.id);
+      return {
+        result,
+        rows: [channel],
+        columns: [
+          { header: 'deleted', get: (row) => row.attributes['channel-name'] },
+          { header: 'id', get: (row) => row.id }
+        ]
+      };
+    },
+    export: async (polarity, args, flags) => {
+      const channelName = requireArg(args[0], '<name>');
+      const channel = await polarity.getChannel(channelName);
+      if (!channel) {
+        throw new Error(`Channel "${channelName}" does not exist`);
+      }
+      const content = await polarity.exportChannel(channel.id, { format: flags.format, filePath: flags.file });
+      // The export is written as-is rather than in the selected output format
+      return { raw: flags.file ? '' : content };
+    }
+  },
+  tags: {
+    apply: async (polarity, args, flags) => {
+      const csvFile = requireArg(args[0], '<csv-file>');
+      const channelName = requireArg(flags.channel, '--channel');
+      const channel = await polarity.getChannel(channelName);
+      if (!channel) {
+        throw new Error(`Channel "${channelName}" does not exist`);
+      }
+
+      // Files created by `channels export` are converted back into entity/tag rows
+      const content = fs.readFileSync(csvFile, 'utf8');
+      const rows = flags['export-format'] ? parseChannelExport(content, flags['export-format']) : parseCsv(content);
+      if (flags.header && !flags['export-format']) {
+        rows.shift();
+      }
+
+      // Rows are refanged here rather than by `applyTags` so the rewritten rows can be reported
+      const { rows: refangedRows, rewritten } = refangRows(rows);
+      const result = await polarity.applyTags(refangedRows, channel.id, flags['stop-on-invalid'] === true, {
+        refang: false
+      });
+      return {
+        result,
+        rows: [{ channel: channelName, rows: rows.length, refanged: rewritten.length }],
+        columns: [
+          { header: 'channel', get: (row) => row.channel },
+          { header: 'rows', get: (row) => row.rows },
+          { header: 'refanged', get: (row) => row.refanged }
+        ]
+      };
+    }
+  },
+  integrations: {
+    list: async (polarity) => {
+      const result = await polarity.getIntegrations();
+      return { result, rows: result.data, columns: resourceColumns(['id', 'name', 'status', 'description']) };
+    },
+    restart: async (polarity, args) => {
+      const integrationDirectoryName = requireArg(args[0], '<integration-directory-name>');
+      const result = await polarity.restartIntegration(integrationDirectoryName);
+      return {
+        result,
+        rows: [{ integration: integrationDirectoryName }],
+        columns: [{ header: 'restarted', get: (row) => row.integration }]
+      };
+    },
+    options: async (polarity, args) => {
+      const integrationId = requireArg(args[0], '<integration-id>');
+      const result = await polarity.getIntegrationOptions(integrationId);
+      return { result, rows: result.data, columns: resourceColumns(['id', 'value', 'admin-only', 'user-can-edit']) };
+    },
+    'export-config': async (polarity, args, flags) => {
+      const config = await polarity.exportIntegrationConfig(args.length > 0 ? args : 'all', { filePath: flags.file });
+      // The snapshot is written as-is rather than in the selected output format
+      return { raw: flags.file ? '' : JSON.stringify(config, null, 2) };
+    },
+    'import-config': async (polarity, args, flags) => {
+      const result = await polarity.importIntegrationConfig(requireArg(args[0], '<file>'), {
+        onlyIntegrations: typeof flags.only === 'string' ? flags.only.split(',') : undefined,
+        dryRun: flags['dry-run'] === true,
+        secrets: typeof flags.secrets === 'string' ? flags.secrets : undefined
+      });
+      const rows = [
+        ...result.updated.map((row) => ({ ...row, action: 'updated' })),
+        ...result.kept.map((row) => ({ ...row, action: 'kept' })),
+        ...result.skipped.map((row) => ({ ...row, action: 'skipped' }))
+      ];
+      return {
+        result,
+        rows,
+        columns: [
+          { header: 'action', get: (row) => row.action },
+          { header: 'integration', get: (row) => row.integrationId },
+          { header: 'option', get: (row) => row.option },
+          { header: 'detail', get: (row) => (row.changed ? row.changed.join(', ') : row.reason) }
+        ]
+      };
+    }
+  },
+  users: {
+    list: async (polarity, args, flags) => {
+      const result = await polarity.getUsers({ pageSize: flags['page-size'], pageNumber: flags['page-number'] });
+      return {
+        result,
+        rows: result.data,
+        columns: resourceColumns(['id', 'username', 'full-name', 'email', 'enabled'])
+      };
+    },
+    create: async (polarity, args, flags) => {
+      const result = await polarity.createUser(
+        {
+          username: requireArg(args[0], '<username>'),
+          email: requireArg(flags.email, '--email'),
+          fullName: requireArg(flags['full-name'], '--full-name'),
+          password: await getUserPassword(flags),
+          isAdmin: flags.admin === true
+        },
+        flags['welcome-email'] === true
+      );
+      return { result, rows: [result.data], columns: resourceColumns(['id', 'username', 'full-name', 'email']) };
+    },
+    provision: async (polarity, args, flags) => {
+      const csvFile = requireArg(args[0], '<csv-file>');
+      const { summary, results } = await polarity.provisionUsers(loadUsersCsv(csvFile), {
+        dryRun: flags['dry-run'] === true,
+        updateExisting: flags['update-existing'] === true,
+        includePasswordInWelcomeEmail: flags['welcome-email'] === true
+      });
+
+      const rows = results.map((result) => ({ ...result, error: result.error ? result.error.message : undefined }));
+      return {
+        result: { summary, results: rows },
+        rows,
+        columns: [
+          { header: 'row', get: (row) => row.row },
+          { header: 'username', get: (row) => row.username },
+          { header: 'outcome', get: (row) => row.outcome },
+          { header: 'user-id', get: (row) => row.userId },
+          { header: 'error', get: (row) => row.error }
+        ]
+      };
+    },
+    enable: async (polarity, args) => {
+      const user = await requireUser(polarity, args[0]);
+      const result = await polarity.enableUser(user.id);
+      return { result, rows: [result.data], columns: resourceColumns(['id', 'username', 'enabled']) };
+    },
+    disable: async (polarity, args) => {
+      const user = await requireUser(polarity, args[0]);
+      const result = await polarity.disableUser(user.id);
+      return { result, rows: [result.data], columns: resourceColumns(['id', 'username', 'enabled']) };
+    },
+    delete: async (polarity, args) => {
+      const user = await requireUser(polarity, args[0]);
+      const result = await polarity.deleteUser(user.id);
+      return {
+        result,
+        rows: [user],
+        columns: [
+          { header: 'deleted', get: (row) => row.attributes.username },
+          { header: 'id', get: (row) => row.id }
+        ]
+      };
+    }
+  },
+  search: async (polarity, args, flags) => {
+    const text = requireArg(args.join(' '), '<text>');
+    const integrations = requireArg(flags.integrations, '--integrations').split(',');
+    const result = await polarity.searchIntegrations(integrations, text, flags['ignore-errors'] === true);
+
+    if (flags.report) {
+      const report = formatLookupReport(normalizeSearchResults(result), flags.report);
+      if (flags.file) {
+        fs.writeFileSync(flags.file, report, 'utf8');
+      }
+      // Reports are written as-is rather than in the selected output format
+      return { raw: flags.file ? '' : report };
+    }
+
+    const rows = [];
+    integrations.forEach((integrationId) => {
+      result[integrationId].forEach((lookupResult) => {
+        rows.push({ integrationId, lookupResult });
+      });
+    });
+
+    return {
+      result,
+      rows,
+      columns: [
+        { header: 'integration', get: (row) => row.integrationId },
+        { header: 'entity', get: (row) => row.lookupResult.entity.value },
+        { header: 'has-data', get: (row) => row.lookupResult.data !== null }
+      ]
+    };
+  },
+  config: async (polarity, args, flags) => {
+    if (flags.plan && flags.apply) {
+      throw new Error('Only one of --plan or --apply can be provided');
+    }
+
+    // Nothing is changed unless --apply is provided
+    const document = await loadConfigDocument(requireArg(args[0], '<yaml-or-json-file>'));
+    const planFile = typeof flags['plan-file'] === 'string' ? flags['plan-file'] : undefined;
+    const rotateSecrets = flags['rotate-secrets'] === true;
+    let plan;
+
+    if (flags.apply) {
+      // Only a plan that was saved with --plan (and reviewed) can be applied
+      if (!planFile) {
+        throw new Error('--apply requires --plan-file <path> with a plan saved by --plan');
+      }
+      const reviewedPlan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+      plan = await applyConfig(polarity, document, { plan: reviewedPlan, rotateSecrets });
+    } else {
+      plan = await planConfig(polarity, document, { rotateSecrets });
+      if (planFile) {
+        fs.writeFileSync(planFile, JSON.stringify(plan, null, 2));
+      }
+    }
+
+    // The plan is printed as readable text unless JSON output was explicitly requested
+    return flags.output === 'json' ? { result: plan } : { raw: formatConfigPlan(plan) };
+  }
+};
+
+function formatTable(rows, columns) {
+  const cells = rows.map((row) =>
+    columns.map((column) => {
+      const value = column.get(row);
+      if (value === null || typeof value === 'undefined') {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    })
+  );
+
+  const widths = columns.map((column, index) =>
+    cells.reduce((max, rowCells) => Math.max(max, rowCells[index].length), column.header.length)
+  );
+
+  const formatLine = (values) =>
+    values
+      .map((value, index) => value.padEnd(widths[index]))
+      .join('  ')
+      .trimEnd();
+
+  return [
+    formatLine(columns.map((column) => column.header.toUpperCase())),
+    formatLine(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(formatLine)
+  ].join('\n');
+}
+
+function getConnectOptions(flags) {
+  const connectOptions = {
+    host: flags.host || process.env.POLARITY_HOST,
+    username: flags.username || process.env.POLARITY_USERNAME,
+    password: flags.password || process.env.POLARITY_PASSWORD,
+    token: flags.token || process.env.POLARITY_TOKEN,
+    request: {}
+  };
+
+  requireArg(connectOptions.host, '--host (or POLARITY_HOST)');
+  if (!connectOptions.token) {
+    requireArg(connectOptions.username, '--username (or POLARITY_USERNAME)');
+    requireArg(connectOptions.password, '--password (or POLARITY_PASSWORD)');
+  }
+
+  if (flags.insecure) {
+    connectOptions.request.rejectUnauthorized = false;
+  }
+
+  if (typeof flags.proxy === 'string') {
+    connectOptions.request.proxy = flags.proxy;
+  }
+
+  return connectOptions;
+}
+
+function resolveCommand(positionals) {
+  const [commandName, subcommandName, ...args] = positionals;
+  const command = COMMANDS[commandName];
+
+  if (typeof command === 'function') {
+    return { run: command, args: positionals.slice(1) };
+  }
+
+  if (command && typeof command[subcommandName] === 'function') {
+    return { run: command[subcommandName], args };
+  }
+
+  return null;
+}
+
+async function main(argv) {
+  const { positionals, flags } = parseArgs(argv);
+  const command = resolveCommand(positionals);
+
+  if (flags.help || !command) {
+    process.stdout.write(USAGE);
+    return flags.help ? 0 : 1;
+  }
+
+  if (flags.output && flags.output !== 'json' && flags.output !== 'table') {
+    throw new Error('--output must be one of `json` or `table`');
+  }
+
+  const polarity = new Polarity();
+  await polarity.connect(getConnectOptions(flags));
+
+  try {
+    const { result, rows, columns, raw } = await command.run(polarity, command.args, flags);
+    if (typeof raw === 'string') {
+      process.stdout.write(raw.length > 0 ? `${raw}\n` : '');
+    } else if (flags.output === 'table') {
+      process.stdout.write(`${formatTable(rows, columns)}\n`);
+    } else {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+  } finally {
+    await polarity.disconnect();
+  }
+
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((err) => {
+    process.stderr.write(`Error: ${err.message || JSON.stringify(err, null, 2)}\n`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,67 @@
+const { parseCsv, toCsv } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'json', 'jsonl'];
+const EXPORT_COLUMNS = ['entity', 'tag', 'type', 'creator', 'created'];
+
+/**
+ * Serializes channel annotation records into the given export format.  Every format starts each record
+ * with the entity followed by the tag so the export can be converted back into `applyTags` rows with
+ * `parseChannelExport`.
+ *
+ * @param records {Array} array of `{ entity, tag, type, creator, created }` objects
+ * @param format {String} one of `csv`, `json` or `jsonl`
+ * @returns {String}
+ */
+function formatChannelExport(records, format) {
+  const rows = records.map((record) => EXPORT_COLUMNS.map((column) => record[column]));
+
+  if (format === 'csv') {
+    return toCsv([EXPORT_COLUMNS, ...rows]);
+  }
+
+  const objects = rows.map((row) =>
+    EXPORT_COLUMNS.reduce((accum, column, index) => {
+      accum[column] = row[index];
+      return accum;
+    }, {})
+  );
+
+  if (format === 'jsonl') {
+    return objects.map((object) => JSON.stringify(object)).join('\n');
+  }
+
+  return JSON.stringify(objects, null, 2);
+}
+
+/**
+ * Converts the content of a channel export back into the two dimensional array format accepted by `applyTags`
+ * (i.e., `[[entity, tag], ...]`).  The `type`, `creator` and `created` columns are ignored.
+ *
+ * @param content {String} the exported content
+ * @param format {String} one of `csv`, `json` or `jsonl`
+ * @returns {Array}
+ */
+function parseChannelExport(content, format) {
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(content);
+    const entityIndex = header.indexOf('entity');
+    const tagIndex = header.indexOf('tag');
+    return rows.map((row) => [row[entityIndex], row[tagIndex]]);
+  }
+
+  const objects =
+    format === 'jsonl'
+      ? content
+          .split(/\r?\n/)
+          .filter((line) => line.trim().length > 0)
+          .map((line) => JSON.parse(line))
+      : JSON.parse(content);
+
+  return objects.map((object) => [object.entity, object.tag]);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatChannelExport,
+  parseChannelExport
+};
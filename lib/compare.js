@@ -0,0 +1,199 @@
+const { OPTION_ATTRIBUTES, getOptionName, isSecretOption } = require('./integration-config');
+
+/**
+ * Compares the integrations of two connected Polarity servers (e.g., staging and production) and reports:
+ * integrations installed on only one of the servers, options whose value, `admin-only` or `user-can-edit`
+ * attributes differ and integration permissions that differ.
+ *
+ * Group ids are not shared between servers so permissions are matched by group name.  Only boolean permission
+ * attributes are compared.  The values of password options are not compared as servers do not return them.
+ *
+ * @param clientA {Polarity} a connected Polarity instance
+ * @param clientB {Polarity} a connected Polarity instance
+ * @param integrationIds {Array} if provided, only these integrations are compared
+ * @returns {Promise<Object>} An object of the format:
+ * ```
+ * {
+ *   servers: { a: 'https://staging', b: 'https://production' },
+ *   identical: false,
+ *   integrations: { onlyInA: ['aws_ec2'], onlyInB: [] },
+ *   options: [{ integrationId, option, changed: ['value'], a: { value, 'admin-only', 'user-can-edit' }, b: {...} }],
+ *   permissions: [{ integrationId, group, changed: ['read'], a: { read: true }, b: { read: false } }]
+ * }
+ * ```
+ * `a` or `b` is `null` (and `changed` is empty) if the option or group permission only exists on one server.
+ */
+async function compareServers(clientA, clientB, { integrationIds } = {}) {
+  const [integrationsA, integrationsB] = await Promise.all([
+    _getIntegrationIds(clientA, integrationIds),
+    _getIntegrationIds(clientB, integrationIds)
+  ]);
+  const [groupNamesA, groupNamesB] = await Promise.all([_getGroupNames(clientA), _getGroupNames(clientB)]);
+
+  const report = {
+    servers: { a: clientA.host, b: clientB.host },
+    integrations: {
+      onlyInA: integrationsA.filter((integrationId) => !integrationsB.includes(integrationId)),
+      onlyInB: integrationsB.filter((integrationId) => !integrationsA.includes(integrationId))
+    },
+    options: [],
+    permissions: []
+  };
+
+  for (const integrationId of integrationsA.filter((integrationId) => integrationsB.includes(integrationId))) {
+    const [optionsA, optionsB] = await Promise.all([
+      _getOptions(clientA, integrationId),
+      _getOptions(clientB, integrationId)
+    ]);
+    _diffMaps(optionsA, optionsB).forEach(({ key, a, b, changed }) =>
+      report.options.push({ integrationId, option: key, changed, a, b })
+    );
+
+    const [permissionsA, permissionsB] = await Promise.all([
+      _getPermissions(clientA, integrationId, groupNamesA),
+      _getPermissions(clientB, integrationId, groupNamesB)
+    ]);
+    _diffMaps(permissionsA, permissionsB).forEach(({ key, a, b, changed }) =>
+      report.permissions.push({ integrationId, group: key, changed, a, b })
+    );
+  }
+
+  report.identical =
+    report.integrations.onlyInA.length === 0 &&
+    report.integrations.onlyInB.length === 0 &&
+    report.options.length === 0 &&
+    report.permissions.length === 0;
+
+  return report;
+}
+
+/**
+ * Formats the result of `compareServers()` as a readable diff where lines prefixed with `-` are from server A
+ * and lines prefixed with `+` are from server B
+ *
+ * @param report the result of `compareServers()`
+ * @returns {String}
+ */
+function formatServerComparison(report) {
+  const lines = [`--- ${report.servers.a}`, `+++ ${report.servers.b}`];
+
+  if (report.identical) {
+    lines.push('', 'No differences found');
+    return lines.join('\n');
+  }
+
+  if (report.integrations.onlyInA.length > 0 || report.integrations.onlyInB.length > 0) {
+    lines.push('');
+    report.integrations.onlyInA.forEach((integrationId) => lines.push(`- integration ${integrationId}`));
+    report.integrations.onlyInB.forEach((integrationId) => lines.push(`+ integration ${integrationId}`));
+  }
+
+  const integrationIds = new Set([
+    ...report.options.map((difference) => difference.integrationId),
+    ...report.permissions.map((difference) => difference.integrationId)
+  ]);
+
+  integrationIds.forEach((integrationId) => {
+    lines.push('', `@@ integration ${integrationId} @@`);
+    report.options
+      .filter((difference) => difference.integrationId === integrationId)
+      .forEach((difference) => lines.push(..._formatDifference(`option ${difference.option}`, difference)));
+    report.permissions
+      .filter((difference) => difference.integrationId === integrationId)
+      .forEach((difference) => lines.push(..._formatDifference(`group "${difference.group}"`, difference)));
+  });
+
+  return lines.join('\n');
+}
+
+async function _getIntegrationIds(client, integrationIds) {
+  const integrations = await client.getIntegrations();
+  return integrations.data
+    .map((integration) => integration.id)
+    .filter((integrationId) => !Array.isArray(integrationIds) || integrationIds.includes(integrationId));
+}
+
+async function _getGroupNames(client) {
+  const groups = await client.getAllGroups();
+  return new Map(groups.map((group) => [String(group.id), group.attributes.name]));
+}
+
+async function _getOptions(client, integrationId) {
+  const options = await client.getIntegrationOptions(integrationId);
+  return new Map(
+    options.data.map((option) => {
+      const attributes = OPTION_ATTRIBUTES.filter((attribute) => attribute !== 'value' || !isSecretOption(option));
+      return [getOptionName(option, integrationId), _pick(option.attributes, attributes)];
+    })
+  );
+}
+
+async function _getPermissions(client, integrationId, groupNames) {
+  const permissions = await client.getPermissionsForIntegration(integrationId);
+  return new Map(
+    permissions.data.map((permission) => {
+      const groupId = String(permission.relationships.group.data.id);
+      const attributes = Object.keys(permission.attributes || {}).filter(
+        (attribute) => typeof permission.attributes[attribute] === 'boolean'
+      );
+      return [groupNames.get(groupId) || groupId, _pick(permission.attributes, attributes)];
+    })
+  );
+}
+
+/**
+ * Returns the entries of two `Map`s of attribute objects that are missing from either map or have different
+ * attribute values
+ */
+function _diffMaps(mapA, mapB) {
+  const differences = [];
+  const keys = new Set([...mapA.keys(), ...mapB.keys()]);
+
+  keys.forEach((key) => {
+    const a = mapA.has(key) ? mapA.get(key) : null;
+    const b = mapB.has(key) ? mapB.get(key) : null;
+
+    if (a === null || b === null) {
+      differences.push({ key, a, b, changed: [] });
+      return;
+    }
+
+    const changed = Object.keys({ ...a, ...b }).filter(
+      (attribute) => JSON.stringify(a[attribute]) !== JSON.stringify(b[attribute])
+    );
+    if (changed.length > 0) {
+      differences.push({ key, a, b, changed });
+    }
+  });
+
+  return differences;
+}
+
+function _formatDifference(label, { a, b, changed }) {
+  if (a === null) {
+    return [`+ ${label} ${JSON.stringify(b)}`];
+  }
+
+  if (b === null) {
+    return [`- ${label} ${JSON.stringify(a)}`];
+  }
+
+  const lines = [`  ${label}`];
+  changed.forEach((attribute) => {
+    lines.push(`-   ${attribute}: ${JSON.stringify(a[attribute])}`);
+    lines.push(`+   ${attribute}: ${JSON.stringify(b[attribute])}`);
+  });
+  return lines;
+}
+
+function _pick(object = {}, keys) {
+  return keys.reduce((accum, key) => {
+    accum[key] = object[key];
+    return accum;
+  }, {});
+}
+
+module.exports = {
+  compareServers,
+  formatServerComparison
+};
@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ValidationError } = require('./error');
+const { dasherizeAttributes } = require('./helpers');
+const { getOptionName, isSecretOption, getChangedOptionAttributes, getOptionFlag } = require('./integration-config');
+
+const DOCUMENT_SECTIONS = ['channels', 'integrations', 'users'];
+const ENV_VARIABLE_REGEX = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const SENSITIVE_VALUE = '(sensitive)';
+
+/**
+ * Reads a configuration document from a YAML (`.yaml` or `.yml`) or JSON file
+ *
+ * @param filePath
+ * @returns {Promise<Object>}
+ */
+async function loadConfigDocument(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Validates a configuration document and replaces `${NAME}` references in string values with the value of the
+ * `NAME` environment variable so secrets (e.g., passwords and API keys) do not need to be committed with the
+ * document.  A document has the following format (every section is optional):
+ *
+ * ```
+ * channels:
+ *   - name: watchlist
+ *     description: Indicators we are tracking
+ * integrations:
+ *   aws_ec2:
+ *     options:
+ *       region: us-east-1
+ *       secretAccessKey: { value: '${AWS_SECRET_ACCESS_KEY}', admin-only: true, user-can-edit: false }
+ *     access:
+ *       groups: [analysts]
+ *       exclusive: false
+ * users:
+ *   - username: jsmith
+ *     email: jsmith@example.com
+ *     fullName: John Smith
+ *     password: '${JSMITH_PASSWORD}'
+ * ```
+ * The groups listed in an integration's `access` are granted access to the integration.  Groups that are not listed
+ * keep their access unless `exclusive` is true, in which case their access is revoked.
+ *
+ * @param document {Object}
+ * @returns {Object}
+ */
+function parseConfigDocument(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ValidationError('Configuration document must be an object');
+  }
+
+  const unknownSections = Object.keys(document).filter((section) => !DOCUMENT_SECTIONS.includes(section));
+  if (unknownSections.length > 0) {
+    throw new ValidationError(`Unknown configuration document sections: ${unknownSections.join(', ')}`);
+  }
+
+  const { channels = [], integrations = {}, users = [] } = _interpolate(document);
+
+  if (!Array.isArray(channels) || channels.some((channel) => !channel || typeof channel.name !== 'string')) {
+    throw new ValidationError('`channels` must be an array of objects with a `name`');
+  }
+
+  if (typeof integrations !== 'object' || Array.isArray(integrations)) {
+    throw new ValidationError('`integrations` must be an object keyed by integration id');
+  }
+
+  if (!Array.isArray(users) || users.some((user) => !user || typeof user.username !== 'string')) {
+    throw new ValidationError('`users` must be an array of objects with a `username`');
+  }
+
+  return { channels, integrations, users };
+}
+
+/**
+ * Compares a configuration document with the live server and returns the changes required to make the server
+ * match the document.  Nothing on the server is modified.  Channels, integrations and users that are not in the
+ * document are left unchanged.  Group access to an integration is only revoked if the integration's `access` is
+ * `exclusive` (see `parseConfigDocument`).
+ *
+ * @param polarity {Polarity} a connected Polarity instance
+ * @param document {Object} a configuration document (see `parseConfigDocument`)
+ * @returns {Promise<Object>} An object of the format:
+ * ```
+ * {
+ *   summary: { create: 1, update: 2 },
+ *   changes: [
+ *     { resource: 'channel', action: 'create', id: 'watchlist' },
+ *     { resource: 'integration-option', action: 'update', id: 'aws_ec2.region',
+ *       changes: { value: { from: 'us-east-1', to: 'us-west-2' } } },
+ *     { resource: 'integration-access', action: 'update', id: 'aws_ec2',
+ *       changes: { grant: ['analysts'], revoke: [], update: [] } }
+ *   ]
+ * }
+ * ```
+ * The values of password options are not compared because the server does not return them, so by default a password
+ * option only appears in the plan when its `admin-only` or `user-can-edit` flags change (its value from the document
+ * is written at the same time).  Set `rotateSecrets` to write the value of every password option that has a value in
+ * the document.  Password values are shown as `(sensitive)` and user passwords are never included.
+ *
+ * @param rotateSecrets {boolean} [false] if true, the document's value of every password option is written
+ */
+async function planConfig(polarity, document, { rotateSecrets = false } = {}) {
+  const steps = await _getSteps(polarity, parseConfigDocument(document), { rotateSecrets });
+  return _toPlan(steps.map((step) => step.change));
+}
+
+/**
+ * Computes the plan for a configuration document (see `planConfig`) and applies each change in order.  Changes
+ * are applied one at a time and the first failure stops the remaining changes.
+ *
+ * Pass the reviewed result of `planConfig()` as `plan` to make sure only the reviewed changes are applied.  If the
+ * server or document changed since the plan was created, nothing is applied and a `ValidationError` is thrown.
+ *
+ * @param polarity {Polarity} a connected Polarity instance
+ * @param document {Object} a configuration document (see `parseConfigDocument`)
+ * @param plan {Object} the reviewed result of `planConfig()`
+ * @param rotateSecrets {boolean} [false] see `planConfig`.  Must match the value used to create `plan`.
+ * @returns {Promise<Object>} the plan that was applied
+ */
+async function applyConfig(polarity, document, { plan, rotateSecrets = false } = {}) {
+  const steps = await _getSteps(polarity, parseConfigDocument(document), { rotateSecrets });
+
+  if (plan && JSON.stringify(plan.changes) !== JSON.stringify(steps.map((step) => step.change))) {
+    throw new ValidationError(
+      'The server or configuration document changed since the plan was created.  Create and review a new plan.'
+    );
+  }
+
+  for (const step of steps) {
+    polarity.logger.debug(`applyConfig(): ${step.change.action} ${step.change.resource} ${step.change.id}`);
+    await step.apply();
+  }
+
+  return _toPlan(steps.map((step) => step.change));
+}
+
+/**
+ * Formats the result of `planConfig()` as readable text for review
+ *
+ * @param plan the result of `planConfig()` or `applyConfig()`
+ * @returns {String}
+ */
+function formatConfigPlan(plan) {
+  if (plan.changes.length === 0) {
+    return 'No changes.  The server matches the configuration document.';
+  }
+
+  const lines = [];
+  plan.changes.forEach((change) => {
+    lines.push(`${change.action === 'create' ? '+' : '~'} ${change.resource} "${change.id}"`);
+
+    if (change.resource === 'integration-access') {
+      change.changes.grant.forEach((group) => lines.push(`    + group "${group}"`));
+      change.changes.revoke.forEach((group) => lines.push(`    - group "${group}"`));
+      change.changes.update.forEach((group) => lines.push(`    ~ group "${group}" permissions`));
+    } else if (change.changes) {
+      Object.entries(change.changes).forEach(([attribute, { from, to }]) =>
+        lines.push(`    ${attribute}: ${JSON.stringify(from)} => ${JSON.stringify(to)}`)
+      );
+    }
+  });
+
+  lines.push('', `Plan: ${plan.summary.create} to create, ${plan.summary.update} to update`);
+  return lines.join('\n');
+}
+
+/**
+ * Returns an array of `{ change, apply }` objects where `change` describes the change for the plan and `apply`
+ * makes the change on the server
+ */
+async function _getSteps(polarity, { channels, integrations, users }, options) {
+  const steps = [];
+
+  for (const channel of channels) {
+    steps.push(...(await _getChannelSteps(polarity, channel)));
+  }
+
+  for (const [integrationId, integration] of Object.entries(integrations)) {
+    steps.push(...(await _getIntegrationSteps(polarity, integrationId, integration || {}, options)));
+  }
+
+  for (const user of users) {
+    steps.push(...(await _getUserSteps(polarity, user)));
+  }
+
+  return steps;
+}
+
+async function _getChannelSteps(polarity, { name, description }) {
+  const channel = await polarity.getChannel(name);
+
+  if (!channel) {
+    return [
+      {
+        change: { resource: 'channel', action: 'create', id: name },
+        apply: () => polarity.createChannel(name, description)
+      }
+    ];
+  }
+
+  if (typeof description === 'string' && description !== channel.attributes.description) {
+    return [
+      {
+        change: {
+          resource: 'channel',
+          action: 'update',
+          id: name,
+          changes: { description: { from: channel.attributes.description, to: description } }
+        },
+        apply: () => polarity.updateChannel(channel.id, { description })
+      }
+    ];
+  }
+
+  return [];
+}
+
+async function _getIntegrationSteps(polarity, integrationId, { options = {}, access }, { rotateSecrets }) {
+  const steps = [];
+  const currentOptions = new Map(
+    (await polarity.getIntegrationOptions(integrationId)).data.map((option) => [
+      getOptionName(option, integrationId),
+      option
+    ])
+  );
+
+  if (currentOptions.size === 0) {
+    throw new ValidationError(`Integration "${integrationId}" does not exist`);
+  }
+
+  for (const [optionName, optionValue] of Object.entries(options)) {
+    const currentOption = currentOptions.get(optionName);
+    if (!currentOption) {
+      throw new ValidationError(`Integration "${integrationId}" does not have an option named "${optionName}"`);
+    }
+
+    const optionConfig = _isOptionObject(optionValue) ? optionValue : { value: optionValue };
+    const secret = isSecretOption(currentOption);
+    // The server does not return the values of password options so only their flags can be compared.  The value
+    // from the document is written whenever one of the flags changes or secrets are rotated.
+    const changed = getChangedOptionAttributes(
+      secret ? { ...optionConfig, value: undefined } : optionConfig,
+      currentOption
+    );
+    if (secret && rotateSecrets && typeof optionConfig.value !== 'undefined') {
+      changed.unshift('value');
+    }
+    if (changed.length === 0) {
+      continue;
+    }
+
+    if (secret && typeof optionConfig.value === 'undefined') {
+      throw new ValidationError(
+        `Option "${optionName}" of integration "${integrationId}" is a password option and must include a \`value\``
+      );
+    }
+
+    const attributes = {
+      value: typeof optionConfig.value === 'undefined' ? currentOption.attributes.value : optionConfig.value,
+      'admin-only': getOptionFlag(optionConfig, currentOption, 'admin-only'),
+      'user-can-edit': getOptionFlag(optionConfig, currentOption, 'user-can-edit')
+    };
+
+    steps.push({
+      change: {
+        resource: 'integration-option',
+        action: 'update',
+        id: `${integrationId}.${optionName}`,
+        changes: changed.reduce((accum, attribute) => {
+          accum[attribute] =
+            attribute === 'value' && secret
+              ? { from: SENSITIVE_VALUE, to: SENSITIVE_VALUE }
+              : { from: currentOption.attributes[attribute], to: attributes[attribute] };
+          return accum;
+        }, {})
+      },
+      apply: () => polarity.updateIntegrationOption(integrationId, optionName, attributes)
+    });
+  }
+
+  if (access) {
+    steps.push(...(await _getAccessSteps(polarity, integrationId, access)));
+  }
+
+  return steps;
+}
+
+async function _getAccessSteps(polarity, integrationId, { groups = [], permissions = {}, exclusive = false }) {
+  const groupNames = new Map();
+  const groupIds = [];
+
+  for (const groupName of groups) {
+    const group = await polarity.getGroupByName(groupName);
+    if (!group) {
+      throw new ValidationError(`Group "${groupName}" does not exist`);
+    }
+    groupIds.push(group.id);
+    groupNames.set(String(group.id), group.attributes.name);
+  }
+
+  const revoke = exclusive === true;
+  const result = await polarity.setIntegrationAccess(integrationId, groupIds, { permissions, revoke, dryRun: true });
+  if (result.granted.length === 0 && result.revoked.length === 0 && result.updated.length === 0) {
+    return [];
+  }
+
+  if (result.revoked.length > 0) {
+    (await polarity.getAllGroups()).forEach((group) => groupNames.set(String(group.id), group.attributes.name));
+  }
+
+  const toNames = (ids) => ids.map((groupId) => groupNames.get(groupId) || groupId);
+
+  return [
+    {
+      change: {
+        resource: 'integration-access',
+        action: 'update',
+        id: integrationId,
+        changes: { grant: toNames(result.granted), revoke: toNames(result.revoked), update: toNames(result.updated) }
+      },
+      apply: () => polarity.setIntegrationAccess(integrationId, groupIds, { permissions, revoke })
+    }
+  ];
+}
+
+async function _getUserSteps(polarity, { password, ...attributes }) {
+  const user = await polarity.getUserByUsername(attributes.username);
+
+  if (!user) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new ValidationError(`User "${attributes.username}" does not exist and no \`password\` was provided`);
+    }
+
+    return [
+      {
+        change: { resource: 'user', action: 'create', id: attributes.username },
+        apply: () => polarity.createUser({ ...attributes, password })
+      }
+    ];
+  }
+
+  const { username, ...updatableAttributes } = attributes;
+  // Server attributes are dasherized (e.g., `fullName` is `full-name`)
+  const serverAttributeNames = Object.keys(dasherizeAttributes(updatableAttributes));
+  const changes = Object.entries(updatableAttributes).reduce((accum, [attribute, value], index) => {
+    const currentValue = user.attributes[serverAttributeNames[index]];
+    if (JSON.stringify(currentValue) !== JSON.stringify(value)) {
+      accum[attribute] = { from: currentValue, to: value };
+    }
+    return accum;
+  }, {});
+
+  if (Object.keys(changes).length === 0) {
+    return [];
+  }
+
+  const changedAttributes = Object.keys(changes).reduce((accum, attribute) => {
+    accum[attribute] = updatableAttributes[attribute];
+    return accum;
+  }, {});
+
+  return [
+    {
+      change: { resource: 'user', action: 'update', id: username, changes },
+      apply: () => polarity.updateUser(user.id, changedAttributes)
+    }
+  ];
+}
+
+function _toPlan(changes) {
+  return {
+    summary: {
+      create: changes.filter((change) => change.action === 'create').length,
+      update: changes.filter((change) => change.action === 'update').length
+    },
+    changes
+  };
+}
+
+// Options can be configured as either a bare value or an object with `value`, `admin-only` and `user-can-edit`
+function _isOptionObject(optionValue) {
+  return (
+    optionValue !== null &&
+    typeof optionValue === 'object' &&
+    !Array.isArray(optionValue) &&
+    ['value', 'admin-only', 'user-can-edit'].some((attribute) => attribute in optionValue)
+  );
+}
+
+function _interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_VARIABLE_REGEX, (match, name) => {
+      if (typeof process.env[name] === 'undefined') {
+        throw new ValidationError(`Environment variable ${name} referenced in the configuration document is not set`);
+      }
+      return process.env[name];
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(_interpolate);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).reduce((accum, [key, entryValue]) => {
+      accum[key] = _interpolate(entryValue);
+      return accum;
+    }, {});
+  }
+
+  return value;
+}
+
+module.exports = {
+  loadConfigDocument,
+  parseConfigDocument,
+  planConfig,
+  applyConfig,
+  formatConfigPlan
+};
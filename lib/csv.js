@@ -0,0 +1,82 @@
+/**
+ * Parses CSV text into a two dimensional array of strings.  Supports quoted fields containing
+ * commas, newlines and escaped (doubled) quotes.  Blank lines are skipped.
+ *
+ * @param text {String} CSV formatted text
+ * @returns {Array} An array of rows where each row is an array of column values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      _pushRow(rows, row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  row.push(field);
+  _pushRow(rows, row);
+
+  return rows;
+}
+
+function _pushRow(rows, row) {
+  if (row.length > 1 || row[0] !== '') {
+    rows.push(row);
+  }
+}
+
+/**
+ * Converts a two dimensional array into CSV text.  Values containing commas, quotes or newlines are quoted.
+ *
+ * @param rows {Array} An array of rows where each row is an array of column values
+ * @returns {String} CSV formatted text
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(_escapeCsvValue).join(',')).join('\n');
+}
+
+function _escapeCsvValue(value) {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return `"${stringValue.replace(/"/g, '""')}"`;
+  }
+
+  return stringValue;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -1,29 +1,114 @@
-function toError(detail, error, additionalProperties = {}) {
-  const errorObj = {};
-  if (error.stack) {
-    errorObj.stack = error.stack;
+/**
+ * Base class for all errors thrown by the library.  The `detail` property mirrors `message` for
+ * backwards compatibility with code that read `detail` off of the plain error objects previously returned.
+ */
+class PolarityError extends Error {
+  constructor(message, properties = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.detail = message;
+    Object.assign(this, properties);
+    Error.captureStackTrace(this, this.constructor);
   }
+}
 
-  if (error.inner) {
-    errorObj.inner = error.inner;
-  }
+/**
+ * Thrown when a method is called before `connect()` (or after `disconnect()`)
+ */
+class NotConnectedError extends PolarityError {}
 
-  if (error.message) {
-    errorObj.message = error.message;
+/**
+ * Thrown when a request fails.  `status` and `body` are only set if the server returned a response, otherwise
+ * the underlying request library error is available as `cause`.
+ *
+ * Properties: `status`, `body`, `method`, `uri`, `cause`
+ */
+class HttpError extends PolarityError {
+  constructor(message, { status, body, method, uri, cause, ...properties } = {}) {
+    super(message, { status, body, method, uri, cause, ...properties });
   }
+}
+
+/**
+ * Thrown when the server rejects the provided credentials or the session is not authorized (401 or 403)
+ */
+class AuthenticationError extends HttpError {}
+
+/**
+ * Thrown when the server returns a 404 for the requested resource
+ */
+class NotFoundError extends HttpError {}
+
+/**
+ * Thrown when input provided to a method is invalid.  No request is made to the server.
+ */
+class ValidationError extends PolarityError {}
 
-  error.detail = detail;
+/**
+ * Returns an `HttpError` for a transport level failure (i.e., no response was received from the server)
+ *
+ * @param err the error returned by the request library
+ * @param requestOptions the options of the request that failed
+ * @returns {HttpError}
+ */
+function createRequestError(err, requestOptions) {
+  return new HttpError('HTTP Request Error', {
+    method: requestOptions.method,
+    uri: requestOptions.uri,
+    cause: err
+  });
+}
+
+/**
+ * Returns the appropriate `HttpError` subclass for a response with an unexpected status code
+ *
+ * @param message
+ * @param requestOptions the options of the request that failed
+ * @param response
+ * @param body
+ * @param additionalProperties properties to add to the error
+ * @returns {HttpError}
+ */
+function createHttpError(message, requestOptions, response, body, additionalProperties = {}) {
+  const properties = {
+    status: response.statusCode,
+    body,
+    method: requestOptions.method,
+    uri: requestOptions.uri,
+    ...additionalProperties
+  };
+
+  if (response.statusCode === 401 || response.statusCode === 403) {
+    return new AuthenticationError(message, properties);
+  }
 
-  const props = Object.keys(additionalProperties);
-  for (let i = 0; i < props.length; i++) {
-    const key = props[i];
-    const value = additionalProperties[key];
-    errorObj[key] = value;
+  if (response.statusCode === 404) {
+    return new NotFoundError(message, properties);
   }
 
-  return errorObj;
+  return new HttpError(message, properties);
+}
+
+/**
+ * Wraps `error` in a `PolarityError` with the given `detail` message.  The original error is available as `cause`.
+ *
+ * @param detail
+ * @param error
+ * @param additionalProperties properties to add to the error
+ * @returns {PolarityError}
+ */
+function toError(detail, error, additionalProperties = {}) {
+  return new PolarityError(detail, { cause: error, ...additionalProperties });
 }
 
 module.exports = {
+  PolarityError,
+  NotConnectedError,
+  HttpError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  createRequestError,
+  createHttpError,
   toError
 };
@@ -1,3 +1,5 @@
+const inflected = require('inflected');
+
 /**
  * Takes an integration directory name and converts it into the integration id
  *
@@ -8,6 +10,138 @@ function getIntegrationId(intDir) {
   return intDir.replace(/([^0-9a-zA-Z])/g, '_');
 }
 
+/**
+ * Converts the camelcase keys of `attributes` into the dasherized format used by the REST API
+ * (e.g., `fullName` becomes `full-name`)
+ *
+ * @param attributes
+ * @returns {Object}
+ */
+function dasherizeAttributes(attributes) {
+  const renamedAttributes = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    renamedAttributes[inflected.dasherize(inflected.underscore(key))] = value;
+  }
+  return renamedAttributes;
+}
+
+/**
+ * Returns true if the given JSON:API response body has another page of results after `pageNumber`.
+ * Uses `links.next` when the server provides pagination links, then the total page count from `meta`, and
+ * finally falls back to checking whether the page had any results.  The page size is not used as servers can cap
+ * it below the requested size, in which case a full page would look like the last page.
+ *
+ * @param body JSON:API response body
+ * @param pageNumber the page number `body` was fetched for (1 based)
+ * @returns {boolean}
+ */
+function hasNextPage(body, pageNumber) {
+  if (body.links && typeof body.links.next !== 'undefined') {
+    return Boolean(body.links.next);
+  }
+
+  const meta = body.meta || {};
+  const totalPages = meta['total-pages'] || meta.totalPages || meta.pages;
+  if (typeof totalPages === 'number') {
+    return pageNumber < totalPages;
+  }
+
+  return Array.isArray(body.data) && body.data.length > 0;
+}
+
+/**
+ * Collects the values of an async iterator into an array
+ *
+ * @param iterator an async iterator
+ * @param max {number} [Infinity] stop collecting once `max` values have been collected
+ * @returns {Promise<Array>}
+ */
+async function collect(iterator, max = Infinity) {
+  const values = [];
+  if (max <= 0) {
+    return values;
+  }
+
+  for await (const value of iterator) {
+    values.push(value);
+    if (values.length >= max) {
+      break;
+    }
+  }
+  return values;
+}
+
+/**
+ * Adds `tags` for `entity` to a Map of entity values to tag Sets.  Used to merge tags for the same entity
+ * before converting them into `applyTags` rows with `toTagRows`.
+ *
+ * @param tagsByEntity {Map}
+ * @param entity {String}
+ * @param tags {Array}
+ */
+function addEntityTags(tagsByEntity, entity, tags) {
+  if (!tagsByEntity.has(entity)) {
+    tagsByEntity.set(entity, new Set());
+  }
+  const entityTags = tagsByEntity.get(entity);
+  tags.forEach((tag) => entityTags.add(tag));
+}
+
+/**
+ * Converts a Map of entity values to tag Sets into the two dimensional array format accepted by `applyTags`.
+ * Entities without any tags are omitted.
+ *
+ * @param tagsByEntity {Map}
+ * @returns {Array}
+ */
+function toTagRows(tagsByEntity) {
+  const rows = [];
+  tagsByEntity.forEach((tags, entity) => {
+    if (tags.size > 0) {
+      rows.push([entity, ...tags]);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Splits `text` into chunks of at most `maxLength` characters.  Chunks are split on the last line break that fits,
+ * falling back to the last whitespace character.  A run of more than `maxLength` characters without whitespace is
+ * split at `maxLength`.  The separator a chunk is split on is dropped and whitespace only chunks are omitted.
+ *
+ * @param text {String}
+ * @param maxLength {number}
+ * @returns {Array}
+ */
+function chunkText(text, maxLength) {
+  const chunks = [];
+  let remaining = text;
+
+  while (remaining.length > maxLength) {
+    let splitIndex = remaining.lastIndexOf('\n', maxLength);
+    if (splitIndex <= 0) {
+      splitIndex = remaining.slice(0, maxLength + 1).search(/\s\S*$/);
+    }
+
+    if (splitIndex <= 0) {
+      chunks.push(remaining.slice(0, maxLength));
+      remaining = remaining.slice(maxLength);
+    } else {
+      chunks.push(remaining.slice(0, splitIndex));
+      remaining = remaining.slice(splitIndex + 1);
+    }
+  }
+  chunks.push(remaining);
+
+  return chunks.filter((chunk) => chunk.trim().length > 0);
+}
+
 module.exports = {
-  getIntegrationId
-}
\ No newline at end of file
+  getIntegrationId,
+  dasherizeAttributes,
+  hasNextPage,
+  collect,
+  addEntityTags,
+  toTagRows,
+  chunkText
+};
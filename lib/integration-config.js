@@ -0,0 +1,137 @@
+const { ValidationError } = require('./error');
+
+const CONFIG_VERSION = 1;
+const OPTION_ATTRIBUTES = ['value', 'admin-only', 'user-can-edit'];
+
+/**
+ * Returns the name of an `integration-options` resource (e.g., `accessKeyId`).  Option ids are of the
+ * format `<integration-id>-<option-name>`.
+ *
+ * @param option `integration-options` resource
+ * @param integrationId
+ * @returns {String}
+ */
+function getOptionName(option, integrationId) {
+  if (option.attributes && typeof option.attributes.key === 'string') {
+    return option.attributes.key;
+  }
+
+  const prefix = `${integrationId}-`;
+  return option.id.startsWith(prefix) ? option.id.slice(prefix.length) : option.id;
+}
+
+/**
+ * Returns true if the option's value is a secret (i.e., a `password` type option) that should not be
+ * written to an integration config snapshot
+ *
+ * @param option `integration-options` resource
+ * @returns {boolean}
+ */
+function isSecretOption(option) {
+  return Boolean(option.attributes) && option.attributes.type === 'password';
+}
+
+/**
+ * Converts an integration and its `integration-options` resources into an entry of an integration config
+ * snapshot.  The values of password options are omitted and the option is marked with `secret: true`.
+ *
+ * ```
+ * {
+ *   name: 'AWS EC2',
+ *   options: {
+ *     region: { type: 'text', value: 'us-east-1', 'admin-only': true, 'user-can-edit': false },
+ *     secretAccessKey: { type: 'password', secret: true, 'admin-only': true, 'user-can-edit': false }
+ *   }
+ * }
+ * ```
+ * @param integration `integrations` resource
+ * @param options {Array} the integration's `integration-options` resources
+ * @returns {Object}
+ */
+function toIntegrationConfigEntry(integration, options) {
+  const entry = { name: integration.attributes ? integration.attributes.name : undefined, options: {} };
+
+  options.forEach((option) => {
+    const attributes = option.attributes || {};
+    const optionConfig = { type: attributes.type };
+
+    if (isSecretOption(option)) {
+      optionConfig.secret = true;
+    } else {
+      optionConfig.value = attributes.value;
+    }
+
+    optionConfig['admin-only'] = attributes['admin-only'];
+    optionConfig['user-can-edit'] = attributes['user-can-edit'];
+
+    entry.options[getOptionName(option, integration.id)] = optionConfig;
+  });
+
+  return entry;
+}
+
+/**
+ * Parses and validates an integration config snapshot created by `exportIntegrationConfig()`
+ *
+ * @param content {Object|String} the snapshot as an object or JSON string
+ * @returns {Object}
+ */
+function parseIntegrationConfig(content) {
+  const config = typeof content === 'string' ? JSON.parse(content) : content;
+
+  if (!config || typeof config.integrations !== 'object' || config.integrations === null) {
+    throw new ValidationError('Integration config must be an object with an `integrations` property');
+  }
+
+  if (config.version !== CONFIG_VERSION) {
+    throw new ValidationError(`Unsupported integration config version ${config.version}`);
+  }
+
+  return config;
+}
+
+/**
+ * Returns the attributes of `optionConfig` that differ from the current option.  `value` is left out for
+ * secret options unless `secretValue` is provided.
+ *
+ * @param optionConfig the option's entry in the integration config snapshot
+ * @param currentOption the option's current `integration-options` resource
+ * @param secretValue the value of a secret option
+ * @returns {Array} the names of the attributes that differ
+ */
+function getChangedOptionAttributes(optionConfig, currentOption, secretValue) {
+  const desired = { ...optionConfig };
+  if (optionConfig.secret) {
+    desired.value = secretValue;
+  }
+
+  return OPTION_ATTRIBUTES.filter(
+    (attribute) =>
+      typeof desired[attribute] !== 'undefined' &&
+      JSON.stringify(desired[attribute]) !== JSON.stringify(currentOption.attributes[attribute])
+  );
+}
+
+/**
+ * Returns the `admin-only` or `user-can-edit` flag of an option from an integration config, falling back to the
+ * option's current value if the config does not include it
+ *
+ * @param optionConfig the option's entry in the integration config
+ * @param currentOption the option's current `integration-options` resource
+ * @param flag `admin-only` or `user-can-edit`
+ * @returns {boolean}
+ */
+function getOptionFlag(optionConfig, currentOption, flag) {
+  return typeof optionConfig[flag] === 'boolean' ? optionConfig[flag] : currentOption.attributes[flag];
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  OPTION_ATTRIBUTES,
+  getOptionName,
+  isSecretOption,
+  toIntegrationConfigEntry,
+  parseIntegrationConfig,
+  getChangedOptionAttributes,
+  getOptionFlag
+};
@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+const DEFAULT_MONITOR_OPTIONS = {
+  interval: 60000,
+  autoRestart: false,
+  maxRestartsPerHour: 3,
+  restartCooldown: 300000,
+  healthyStatuses: ['running']
+};
+
+/**
+ * Polls the status of integrations and emits events when their status changes.  Failed integrations can
+ * optionally be restarted.  After a restart, an integration is given `restartCooldown` milliseconds to start before
+ * it is restarted again.  Restarts are limited to `maxRestartsPerHour` per integration; once the limit is
+ * reached the integration's circuit is opened and it is not restarted again until its oldest restart is more
+ * than an hour old.
+ *
+ * Create instances with `polarity.monitorIntegrations()`.
+ *
+ * Emits the following events:
+ * `status-changed` ({ integrationId, name, previousStatus, status }) when an integration's status changes
+ * `down` ({ integrationId, name, status }) when an integration's status changes to an unhealthy status
+ * `recovered` ({ integrationId, name, status }) when an unhealthy integration's status becomes healthy
+ * `restarted` ({ integrationId, name, restarts }) after an unhealthy integration was restarted
+ * `restart-failed` ({ integrationId, name, error }) when restarting an integration failed
+ * `circuit-open` ({ integrationId, name, restarts }) when an integration reached `maxRestartsPerHour`
+ * `poll-failed` ({ error }) when the integration status could not be retrieved or processing a poll failed.
+ *   `integrationId` is included when processing a single integration's status failed
+ */
+class IntegrationMonitor extends EventEmitter {
+  /**
+   * @param polarity {Polarity} a connected Polarity instance
+   * @param options
+   * ```
+   * {
+   *    interval: {number} [60000] milliseconds between polls,
+   *    autoRestart: {boolean} [false] if true, unhealthy integrations are restarted,
+   *    maxRestartsPerHour: {number} [3] maximum number of restarts per integration in any hour,
+   *    restartCooldown: {number} [300000] milliseconds after a restart during which the integration is not
+   *      restarted again,
+   *    integrationIds: {Array} if provided, only these integrations are monitored,
+   *    healthyStatuses: {Array} [['running']] integration statuses that are considered healthy
+   * }
+   * ```
+   */
+  constructor(polarity, options = {}) {
+    super();
+    this.polarity = polarity;
+    this.options = { ...DEFAULT_MONITOR_OPTIONS, ...options };
+    this.integrations = new Map();
+    this.polls = 0;
+    this.lastPoll = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Polls immediately and then every `interval` milliseconds until `stop()` is called
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+
+    this.running = true;
+    const schedule = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        // Errors thrown by event listeners must not stop the monitor or surface as an unhandled rejection
+        this.polarity.logger.error('Failed to process integration status', { error });
+        this.emit('poll-failed', { error });
+      } finally {
+        if (this.running) {
+          this.timer = setTimeout(schedule, this.options.interval);
+        }
+      }
+    };
+    schedule();
+
+    return this;
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Retrieves the status of every monitored integration once.  Status changes are emitted as events and, if
+   * `autoRestart` is enabled, unhealthy integrations are restarted.
+   *
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    let integrations;
+    try {
+      integrations = await this._getIntegrations();
+    } catch (error) {
+      this.polarity.logger.error('Failed to poll integration status', { error });
+      this.emit('poll-failed', { error });
+      return;
+    }
+
+    this.polls++;
+    this.lastPoll = new Date();
+
+    // A failure processing one integration (e.g., a throwing event listener) must not skip the others
+    for (const integration of integrations) {
+      try {
+        await this._updateIntegration(integration);
+      } catch (error) {
+        this.polarity.logger.error(`Failed to process the status of integration ${integration.id}`, { error });
+        this.emit('poll-failed', { integrationId: integration.id, error });
+      }
+    }
+  }
+
+  /**
+   * Returns the current state of the monitored integrations
+   *
+   * @returns {Object} An object of the format:
+   * ```
+   * {
+   *   running: true,
+   *   polls: 12,
+   *   lastPoll: Date,
+   *   healthy: 9,
+   *   unhealthy: 1,
+   *   integrations: [{ integrationId, name, status, healthy, since: Date, restarts: 1, circuitOpen: false }]
+   * }
+   * ```
+   * `restarts` is the number of restarts in the last hour.
+   */
+  getSummary() {
+    const integrations = [...this.integrations.values()].map((state) => ({
+      integrationId: state.integrationId,
+      name: state.name,
+      status: state.status,
+      healthy: this._isHealthy(state.status),
+      since: state.since,
+      restarts: this._getRecentRestarts(state).length,
+      circuitOpen: state.circuitOpen
+    }));
+
+    return {
+      running: this.running,
+      polls: this.polls,
+      lastPoll: this.lastPoll,
+      healthy: integrations.filter((integration) => integration.healthy).length,
+      unhealthy: integrations.filter((integration) => !integration.healthy).length,
+      integrations
+    };
+  }
+
+  async _getIntegrations() {
+    if (Array.isArray(this.options.integrationIds)) {
+      const integrations = [];
+      for (const integrationId of this.options.integrationIds) {
+        const result = await this.polarity.getIntegrationById(integrationId);
+        integrations.push(result.data);
+      }
+      return integrations;
+    }
+
+    return (await this.polarity.getIntegrations()).data;
+  }
+
+  async _updateIntegration(integration) {
+    const integrationId = integration.id;
+    const name = integration.attributes.name;
+    const status = integration.attributes.status;
+    let state = this.integrations.get(integrationId);
+
+    if (!state) {
+      state = { integrationId, name, status, since: new Date(), restarts: [], circuitOpen: false };
+      this.integrations.set(integrationId, state);
+      if (!this._isHealthy(status)) {
+        this.emit('down', { integrationId, name, status });
+      }
+    } else if (state.status !== status) {
+      const previousStatus = state.status;
+      state.status = status;
+      state.since = new Date();
+
+      this.emit('status-changed', { integrationId, name, previousStatus, status });
+      if (this._isHealthy(previousStatus) && !this._isHealthy(status)) {
+        this.emit('down', { integrationId, name, status });
+      } else if (!this._isHealthy(previousStatus) && this._isHealthy(status)) {
+        state.circuitOpen = false;
+        this.emit('recovered', { integrationId, name, status });
+      }
+    }
+
+    if (this.options.autoRestart && !this._isHealthy(status)) {
+      await this._restart(state);
+    }
+  }
+
+  async _restart(state) {
+    const { integrationId, name } = state;
+    state.restarts = this._getRecentRestarts(state);
+
+    const lastRestart = state.restarts[state.restarts.length - 1];
+    if (typeof lastRestart === 'number' && Date.now() - lastRestart < this.options.restartCooldown) {
+      return;
+    }
+
+    if (state.restarts.length >= this.options.maxRestartsPerHour) {
+      if (!state.circuitOpen) {
+        state.circuitOpen = true;
+        this.polarity.logger.warn(`Integration ${integrationId} reached the maximum number of restarts per hour`);
+        this.emit('circuit-open', { integrationId, name, restarts: state.restarts.length });
+      }
+      return;
+    }
+
+    state.circuitOpen = false;
+    state.restarts.push(Date.now());
+
+    try {
+      await this.polarity.restartIntegrationById(integrationId);
+      this.emit('restarted', { integrationId, name, restarts: state.restarts.length });
+    } catch (error) {
+      this.polarity.logger.error(`Failed to restart integration ${integrationId}`, { error });
+      this.emit('restart-failed', { integrationId, name, error });
+    }
+  }
+
+  _getRecentRestarts(state) {
+    const now = Date.now();
+    return state.restarts.filter((restartTime) => now - restartTime < ONE_HOUR);
+  }
+
+  _isHealthy(status) {
+    return this.options.healthyStatuses.includes(status);
+  }
+}
+
+module.exports = {
+  IntegrationMonitor,
+  DEFAULT_MONITOR_OPTIONS
+};
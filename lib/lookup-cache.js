@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+const CACHE_FILE_REGEX = /^[0-9a-f]{64}\.json$/;
+
+/**
+ * In-memory cache store that evicts the least recently used entry once `maxEntries` is reached
+ */
+class MemoryCacheStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return;
+    }
+
+    // Re-inserting the entry moves it to the end of the Map's iteration order (most recently used)
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache store that writes each entry to a JSON file in `directory` so cached lookups survive restarts and can be
+ * shared between processes.  The directory is created if it does not exist.
+ */
+class FileCacheStore {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._getFilePath(key), 'utf8'));
+    } catch (readErr) {
+      // Missing or partially written entries are treated as cache misses
+      return;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(this._getFilePath(key), JSON.stringify(entry), 'utf8');
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._getFilePath(key), { force: true });
+  }
+
+  // Only cache entry files are removed in case the directory is shared with other files
+  async clear() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.directory);
+    } catch (readErr) {
+      return;
+    }
+
+    for (const fileName of fileNames.filter((fileName) => CACHE_FILE_REGEX.test(fileName))) {
+      await fs.promises.rm(path.join(this.directory, fileName), { force: true });
+    }
+  }
+
+  _getFilePath(key) {
+    return path.join(this.directory, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+  }
+}
+
+/**
+ * Caches integration lookup results by integration id, entity type and (case-insensitive) entity value.
+ *
+ * @param options
+ * ```
+ * {
+ *    ttl: {number} [3600000] milliseconds a lookup result is cached for,
+ *    ttlByIntegration: {Object} [{}] per integration ttl overrides (e.g., `{ virustotal: 86400000 }`).  A ttl
+ *      of 0 disables caching for the integration,
+ *    store: {Object} [MemoryCacheStore] where entries are stored.  Use `FileCacheStore` to persist entries
+ *      to disk or provide any object with async `get`, `set`, `delete` and `clear` methods
+ * }
+ * ```
+ */
+class LookupCache {
+  constructor({ ttl = DEFAULT_TTL, ttlByIntegration = {}, store = new MemoryCacheStore() } = {}) {
+    this.ttl = ttl;
+    this.ttlByIntegration = ttlByIntegration;
+    this.store = store;
+    this.stats = {};
+  }
+
+  /**
+   * Returns the cached lookup result for the entity, `null` if the entity is cached as having no result or
+   * `undefined` if there is no unexpired entry
+   *
+   * @param integrationId
+   * @param entity a parsed entity (see `parseEntities`)
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(integrationId, entity) {
+    if (this._getTtl(integrationId) <= 0) {
+      return;
+    }
+
+    const key = this._getKey(integrationId, entity);
+    const entry = await this.store.get(key);
+    const stats = this._getIntegrationStats(integrationId);
+
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) {
+        await this.store.delete(key);
+      }
+      stats.misses++;
+      return;
+    }
+
+    stats.hits++;
+    return entry.result;
+  }
+
+  /**
+   * Caches the lookup result for the entity
+   *
+   * @param integrationId
+   * @param entity a parsed entity (see `parseEntities`)
+   * @param result the entity's lookup result or `null` if the integration had no result for the entity
+   * @returns {Promise<void>}
+   */
+  async set(integrationId, entity, result) {
+    const ttl = this._getTtl(integrationId);
+    if (ttl > 0) {
+      await this.store.set(this._getKey(integrationId, entity), { expires: Date.now() + ttl, result });
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Returns the cache hit and miss counts
+   *
+   * @returns {Object} An object of the format:
+   * ```
+   * {
+   *   hits: 10,
+   *   misses: 5,
+   *   hitRate: 0.67,
+   *   byIntegration: { virustotal: { hits: 10, misses: 5 } }
+   * }
+   * ```
+   */
+  getStats() {
+    const byIntegration = JSON.parse(JSON.stringify(this.stats));
+    const integrationStats = Object.values(byIntegration);
+    const hits = integrationStats.reduce((total, stats) => total + stats.hits, 0);
+    const misses = integrationStats.reduce((total, stats) => total + stats.misses, 0);
+
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+      byIntegration
+    };
+  }
+
+  _getTtl(integrationId) {
+    return typeof this.ttlByIntegration[integrationId] === 'number' ? this.ttlByIntegration[integrationId] : this.ttl;
+  }
+
+  _getKey(integrationId, entity) {
+    return JSON.stringify([integrationId, entity.type, String(entity.value).toLowerCase()]);
+  }
+
+  _getIntegrationStats(integrationId) {
+    if (!this.stats[integrationId]) {
+      this.stats[integrationId] = { hits: 0, misses: 0 };
+    }
+    return this.stats[integrationId];
+  }
+}
+
+module.exports = {
+  LookupCache,
+  MemoryCacheStore,
+  FileCacheStore
+};
@@ -0,0 +1,214 @@
+const { toCsv } = require('./csv');
+const { ValidationError } = require('./error');
+
+const REPORT_FORMATS = ['csv', 'markdown', 'html'];
+const CSV_COLUMNS = ['entity', 'type', 'integration', 'summary', 'error'];
+
+/**
+ * Converts the result of `searchIntegrations()` into a list of entities with the result of each integration
+ * for that entity.  Integrations that failed (when `ignoreLookupErrors` is true) are included for every entity
+ * with the lookup error's message as `error`.
+ *
+ * @param searchResults the result of `searchIntegrations()`
+ * @returns {Object} An object of the format:
+ * ```
+ * {
+ *   entities: [
+ *     {
+ *       value: '8.8.8.8',
+ *       type: 'IPv4',
+ *       integrations: [
+ *         { integrationId: 'virustotal', hasData: true, summary: ['Malicious: 0'], details: {...}, error: null }
+ *       ]
+ *     }
+ *   ],
+ *   errors: [{ integrationId: 'abuseipdb', error: 'Failed to run integration lookup for abuseipdb' }]
+ * }
+ * ```
+ */
+function normalizeSearchResults(searchResults) {
+  const errorsByIntegration = searchResults.__errors || {};
+  const integrationIds = Object.keys(searchResults).filter((key) => key !== '__errors');
+  const entitiesByKey = new Map();
+
+  const getEntity = (entity) => {
+    const key = JSON.stringify([entity.type, String(entity.value).toLowerCase()]);
+    if (!entitiesByKey.has(key)) {
+      entitiesByKey.set(key, { value: entity.value, type: entity.type, integrations: [] });
+    }
+    return entitiesByKey.get(key);
+  };
+
+  integrationIds.forEach((integrationId) => {
+    searchResults[integrationId].forEach((result) => {
+      const data = result.data || null;
+      getEntity(result.entity).integrations.push({
+        integrationId,
+        hasData: data !== null,
+        summary: data && data.summary ? _getSummaryTags(data.summary) : [],
+        details: data ? data.details : null,
+        error: null
+      });
+    });
+  });
+
+  const errors = [];
+  Object.entries(errorsByIntegration).forEach(([integrationId, integrationErrors]) => {
+    integrationErrors.forEach((error) => {
+      const message = error && error.message ? error.message : String(error);
+      errors.push({ integrationId, error: message });
+      entitiesByKey.forEach((entity) => {
+        if (!entity.integrations.some((integration) => integration.integrationId === integrationId)) {
+          entity.integrations.push({ integrationId, hasData: false, summary: [], details: null, error: message });
+        }
+      });
+    });
+  });
+
+  return { entities: [...entitiesByKey.values()], errors };
+}
+
+/**
+ * Renders the result of `normalizeSearchResults()` as CSV (one row per entity and integration), Markdown or a
+ * self-contained HTML document.  Integration details are only included in the HTML report.
+ *
+ * @param report the result of `normalizeSearchResults()`
+ * @param format {String} one of `csv`, `markdown` or `html`
+ * @param title {String} ['Polarity Lookup Report'] the title of Markdown and HTML reports
+ * @returns {String}
+ */
+function formatLookupReport(report, format, { title = 'Polarity Lookup Report' } = {}) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Report format must be one of ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    return _toCsvReport(report);
+  }
+
+  if (format === 'markdown') {
+    return _toMarkdownReport(report, title);
+  }
+
+  return _toHtmlReport(report, title);
+}
+
+function _toCsvReport(report) {
+  const rows = [];
+  report.entities.forEach((entity) =>
+    entity.integrations.forEach((integration) =>
+      rows.push([
+        entity.value,
+        entity.type,
+        integration.integrationId,
+        integration.summary.join('; '),
+        integration.error
+      ])
+    )
+  );
+  return toCsv([CSV_COLUMNS, ...rows]);
+}
+
+function _toMarkdownReport(report, title) {
+  const lines = [`# ${title}`, ''];
+
+  if (report.entities.length === 0) {
+    lines.push('No entities found.', '');
+  }
+
+  report.entities.forEach((entity) => {
+    lines.push(`## ${_escapeMarkdown(entity.value)} (${_escapeMarkdown(entity.type)})`, '');
+    lines.push('| Integration | Summary | Error |', '| --- | --- | --- |');
+    entity.integrations.forEach((integration) => {
+      const summary = integration.hasData ? integration.summary.join(', ') : 'No data';
+      const cells = [integration.integrationId, summary, integration.error || ''].map(_escapeMarkdown);
+      lines.push(`| ${cells.join(' | ')} |`);
+    });
+    lines.push('');
+  });
+
+  if (report.errors.length > 0) {
+    lines.push('## Errors', '');
+    report.errors.forEach(({ integrationId, error }) =>
+      lines.push(`- **${_escapeMarkdown(integrationId)}**: ${_escapeMarkdown(error)}`)
+    );
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function _toHtmlReport(report, title) {
+  const sections = report.entities.map((entity) => {
+    const rows = entity.integrations.map((integration) => {
+      const summary = integration.hasData
+        ? integration.summary.map((tag) => `<span class="tag">${_escapeHtml(tag)}</span>`).join(' ')
+        : '<span class="muted">No data</span>';
+      const details =
+        integration.details === null || typeof integration.details === 'undefined'
+          ? ''
+          : `<details><summary>Details</summary><pre>${_escapeHtml(
+              JSON.stringify(integration.details, null, 2)
+            )}</pre></details>`;
+      const error = integration.error ? `<span class="error">${_escapeHtml(integration.error)}</span>` : '';
+      const integrationId = _escapeHtml(integration.integrationId);
+
+      return `<tr><td>${integrationId}</td><td>${summary}${details}</td><td>${error}</td></tr>`;
+    });
+
+    return [
+      `<h2>${_escapeHtml(entity.value)} <span class="muted">(${_escapeHtml(entity.type)})</span></h2>`,
+      '<table><thead><tr><th>Integration</th><th>Summary</th><th>Error</th></tr></thead>',
+      `<tbody>${rows.join('')}</tbody></table>`
+    ].join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${_escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2em; }
+th, td { border: 1px solid #ddd; padding: 0.5em; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.tag { display: inline-block; background: #e8eef7; border-radius: 3px; padding: 0.1em 0.4em; margin: 0.1em; }
+.muted { color: #888; }
+.error { color: #b00020; }
+pre { white-space: pre-wrap; word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>${_escapeHtml(title)}</h1>
+${sections.length > 0 ? sections.join('\n') : '<p>No entities found.</p>'}
+</body>
+</html>
+`;
+}
+
+// Integrations return the summary as an array of tags (older integrations use `{ tags: [...] }`).  Tags are
+// either strings or objects with a `text` property.
+function _getSummaryTags(summary) {
+  const tags = Array.isArray(summary) ? summary : summary.tags || [];
+  return tags.map((tag) => (tag !== null && typeof tag === 'object' ? tag.text : String(tag)));
+}
+
+function _escapeMarkdown(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function _escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  normalizeSearchResults,
+  formatLookupReport
+};
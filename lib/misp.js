@@ -0,0 +1,127 @@
+const { ValidationError } = require('./error');
+const { addEntityTags, toTagRows } = require('./helpers');
+
+// MISP attribute types that are imported as entities.  For composite types (e.g., `domain|ip`) the value
+// is split on `|` and the parts listed here are imported.
+const SUPPORTED_ATTRIBUTE_TYPES = [
+  'ip-src',
+  'ip-dst',
+  'ip',
+  'domain',
+  'hostname',
+  'url',
+  'uri',
+  'link',
+  'email',
+  'email-src',
+  'email-dst',
+  'md5',
+  'sha1',
+  'sha256',
+  'sha512',
+  'mac-address',
+  'vulnerability'
+];
+
+const DEFAULT_TAG_FROM = ['event.info', 'tags', 'category'];
+
+/**
+ * Converts a MISP event export into the two dimensional array format accepted by `applyTags`.
+ *
+ * Attributes (including attributes nested in MISP objects) of supported types are imported as entities.  Each entity
+ * is tagged based on `tagFrom`:
+ * `event.info`: the event's info (title),
+ * `tags`: the names of the event's tags and the attribute's tags,
+ * `category`: the attribute's category (e.g., `Network activity`)
+ *
+ * Entities without any tags are skipped.
+ *
+ * @param eventJson {Object|String} the MISP event as an object or JSON string.  Both `{ Event: {...} }` and the
+ * bare event object are accepted.
+ * @param tagFrom {Array} [['event.info', 'tags', 'category']] sources of tags
+ * @param idsOnly {boolean} [false] if true, attributes with `to_ids` set to false are skipped
+ * @param additionalTags {Array} [[]] tags applied to every imported entity
+ * @returns {Array}
+ */
+function mispEventToRows(eventJson, { tagFrom = DEFAULT_TAG_FROM, idsOnly = false, additionalTags = [] } = {}) {
+  const parsedEvent = typeof eventJson === 'string' ? JSON.parse(eventJson) : eventJson;
+  const event = parsedEvent && parsedEvent.Event ? parsedEvent.Event : parsedEvent;
+
+  if (!event || !Array.isArray(event.Attribute || []) || !Array.isArray(event.Object || [])) {
+    throw new ValidationError('MISP input must be an event with an `Attribute` array');
+  }
+
+  const eventTags = [];
+  if (tagFrom.includes('event.info') && event.info) {
+    eventTags.push(event.info);
+  }
+  if (tagFrom.includes('tags')) {
+    eventTags.push(..._getTagNames(event.Tag));
+  }
+
+  const attributes = [...(event.Attribute || [])];
+  (event.Object || []).forEach((object) => attributes.push(...(object.Attribute || [])));
+
+  const tagsByEntity = new Map();
+
+  attributes.forEach((attribute) => {
+    if (idsOnly && !_isTrue(attribute.to_ids)) {
+      return;
+    }
+
+    const values = getAttributeValues(attribute);
+    if (values.length === 0) {
+      return;
+    }
+
+    const tags = [...eventTags, ...additionalTags];
+    if (tagFrom.includes('tags')) {
+      tags.push(..._getTagNames(attribute.Tag));
+    }
+    if (tagFrom.includes('category') && attribute.category) {
+      tags.push(attribute.category);
+    }
+
+    values.forEach((value) => addEntityTags(tagsByEntity, value, tags));
+  });
+
+  return toTagRows(tagsByEntity);
+}
+
+/**
+ * Returns the importable values of a MISP attribute.  Composite attributes such as `domain|ip` or `filename|md5`
+ * return only the parts with a supported type.
+ *
+ * @param attribute
+ * @returns {Array}
+ */
+function getAttributeValues(attribute) {
+  if (typeof attribute.type !== 'string' || typeof attribute.value !== 'string') {
+    return [];
+  }
+
+  const types = attribute.type.split('|');
+  const values = types.length > 1 ? attribute.value.split('|') : [attribute.value];
+
+  return types.reduce((accum, type, index) => {
+    const value = values[index];
+    if (SUPPORTED_ATTRIBUTE_TYPES.includes(type) && typeof value === 'string' && value.trim().length > 0) {
+      accum.push(value.trim());
+    }
+    return accum;
+  }, []);
+}
+
+function _getTagNames(tags) {
+  return (tags || []).map((tag) => tag.name).filter((name) => typeof name === 'string' && name.length > 0);
+}
+
+// MISP exports booleans as either booleans or strings depending on the version
+function _isTrue(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
+
+module.exports = {
+  mispEventToRows,
+  getAttributeValues
+};
@@ -1,19 +1,57 @@
 const async = require('async');
+const EventEmitter = require('events');
 const request = require('postman-request');
 const fs = require('fs');
 const winston = require('winston');
-const { isIP4r, validateEntity, validateTag } = require('./validator');
-const inflected = require('inflected');
-const { getIntegrationId } = require('./helpers');
-const { toError } = require('./error');
+const { getEntityType, refangRows, validateEntity, validateTag } = require('./validator');
+const { getIntegrationId, dasherizeAttributes, hasNextPage, collect, chunkText } = require('./helpers');
+const {
+  PolarityError,
+  NotConnectedError,
+  HttpError,
+  AuthenticationError,
+  NotFoundError,
+  ValidationError,
+  createRequestError,
+  createHttpError,
+  toError
+} = require('./error');
+const { withRetry } = require('./retry');
+const { loadUsersCsv, parseUsersCsv } = require('./users');
+const { EXPORT_FORMATS, formatChannelExport, parseChannelExport } = require('./channel-export');
+const { stixBundleToRows } = require('./stix');
+const { mispEventToRows } = require('./misp');
+const {
+  CONFIG_VERSION: INTEGRATION_CONFIG_VERSION,
+  getOptionName,
+  toIntegrationConfigEntry,
+  parseIntegrationConfig,
+  getChangedOptionAttributes,
+  getOptionFlag
+} = require('./integration-config');
+const { compareServers, formatServerComparison } = require('./compare');
+const { loadConfigDocument, planConfig, applyConfig, formatConfigPlan } = require('./config-as-code');
+const { IntegrationMonitor } = require('./integration-monitor');
+const { normalizeSearchResults, formatLookupReport } = require('./lookup-report');
+const { LookupCache, MemoryCacheStore, FileCacheStore } = require('./lookup-cache');
+
+const DEFAULT_PAGE_SIZE = 100;
+// The maximum length of text accepted by the parsed-entities endpoint
+const MAX_PARSE_TEXT_LENGTH = 5000;
+const EXPORT_PAGE_SIZE = 1000;
 
 /**
  * Accepts a Winston logging object.  If none is provided and `NODE_ENV` is set
  * to `development` the library will log to the console.  If `NODE_ENV` is not
  * set to `development` then the library will not output any logging
+ *
+ * Emits the following events:
+ * `reauthenticated` ({ uri, method }) when an expired session was transparently re-established
+ * `refanged` ({ channelId, rewritten }) when `applyTags` refangs defanged entities (see `refangRows`)
  */
-class Polarity {
+class Polarity extends EventEmitter {
   constructor(log) {
+    super();
     this.postmanRequest = null;
     if (log) {
       this.logger = log;
@@ -36,6 +74,10 @@ class Polarity {
     }
     this.isConnected = false;
     this.host = null;
+    this._connectOptions = null;
+    this._authVersion = null;
+    this._reauthenticatePromise = null;
+    this.lookupCache = null;
   }
 
   parseErrorToReadableJSON(error) {
@@ -54,6 +96,7 @@ class Polarity {
    *   host: <polarity-host>
    *   username: <polarity-username>,
    *   password: <polarity-password>,
+   *   token: <polarity-api-token>, // optional, used instead of `username` and `password`
    *   request : { // optional request library options to apply
    *     rejectUnauthorized: true/false,
    *     proxy: '',
@@ -61,21 +104,55 @@ class Polarity {
    *     key: '',
    *     passphrase: ''
    *     ca: ''
+   *   },
+   *   retry: { // optional retry policy for transient failures, or `false` to disable retries
+   *     maxAttempts: 3, // total number of attempts including the first request
+   *     baseDelay: 1000, // base delay in ms used for exponential backoff (with jitter)
+   *     maxDelay: 30000, // maximum delay in ms between attempts (also caps `Retry-After`)
+   *     retryOnStatus: [408, 429, 500, 502, 503, 504]
    *   }
    * }
    *
    * @returns {Promise<unknown>}
    */
   async connect(connectOptions) {
-    let self = this;
-
     this.postmanRequest = this._createDefaultRequest(connectOptions);
 
-    const authVersion = await this._getAuthAPIVersion(connectOptions.host);
+    // API tokens are sent as a header on every request so there is no session to establish.  The token is
+    // verified with an authenticated request so an invalid or expired token fails here rather than on first use.
+    if (this._isTokenAuth(connectOptions)) {
+      await this._verifyToken(connectOptions.host);
+      this._connectOptions = connectOptions;
+      this.isConnected = true;
+      this.host = connectOptions.host;
+      return;
+    }
+
+    this._authVersion = await this._getAuthAPIVersion(connectOptions.host);
+    this._connectOptions = connectOptions;
+
+    const body = await this._authenticate();
+
+    this.isConnected = true;
+    this.host = connectOptions.host;
+
+    return body;
+  }
+
+  /**
+   * Internal use method that authenticates using the credentials and auth API version stored by `connect()`.
+   * Used both for the initial connection and to re-establish an expired session.
+   *
+   * @returns {Promise<unknown>}
+   * @private
+   */
+  async _authenticate() {
+    const connectOptions = this._connectOptions;
 
     let requestOptions = {
-      uri: `${connectOptions.host}/${authVersion}/authenticate`,
+      uri: `${connectOptions.host}/${this._authVersion}/authenticate`,
       method: 'POST',
+      reauthenticate: false,
       body: {
         identification: connectOptions.username,
         password: connectOptions.password
@@ -87,29 +164,78 @@ class Polarity {
     return new Promise((resolve, reject) => {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
-          self.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
-          self.isConnected = true;
-          self.host = connectOptions.host;
           resolve(body);
         } else {
-          self.logger.error(err);
-          reject({
-            detail: 'Could not authenticate to Polarity',
-            status: response.statusCode,
-            body: body
-          });
+          this.logger.error('Could not authenticate to Polarity', { status: response.statusCode });
+          reject(
+            new AuthenticationError('Could not authenticate to Polarity', {
+              status: response.statusCode,
+              body,
+              method: requestOptions.method,
+              uri: requestOptions.uri
+            })
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Internal use method that makes an authenticated request to check the API token set by `_createDefaultRequest`.
+   * Rejects with an `AuthenticationError` if the server rejects the token.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _verifyToken(host) {
+    const requestOptions = {
+      uri: `${host}/v2/channels`,
+      method: 'GET',
+      reauthenticate: false,
+      qs: { 'page[size]': 1 }
+    };
+
+    return new Promise((resolve, reject) => {
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve();
+        } else {
+          this.logger.error('Could not authenticate to Polarity with the API token', { status: response.statusCode });
+          reject(
+            createHttpError('Could not authenticate to Polarity with the API token', requestOptions, response, body)
+          );
         }
       });
     });
   }
 
+  /**
+   * Re-runs the authentication flow after the server session has expired.  Concurrent callers share
+   * a single authentication request.
+   *
+   * @returns {Promise<unknown>}
+   * @private
+   */
+  async _reauthenticate() {
+    if (!this._reauthenticatePromise) {
+      this._reauthenticatePromise = this._authenticate().finally(() => {
+        this._reauthenticatePromise = null;
+      });
+    }
+
+    return this._reauthenticatePromise;
+  }
+
   /**
    * Internal use method that returns the auth API version (either 'v1' or 'v2')
    * Servers that are version 4.x+ will have a `saml-enabled` attributes on the `GET /v2/servers` endpoint and use
@@ -127,12 +253,12 @@ class Polarity {
       };
 
       this.postmanRequest(requestOptions, (err, response, body) => {
-        if (err || response.statusCode !== 200) {
-          return reject({
-            detail: 'HTTP Request Error',
-            err: this.parseErrorToReadableJSON(err),
-            response
-          });
+        if (err) {
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode !== 200) {
+          return reject(createHttpError('Failed to get server information', requestOptions, response, body));
         }
 
         if (typeof body.data.attributes['saml-enabled'] !== 'undefined') {
@@ -152,28 +278,36 @@ class Polarity {
   async disconnect() {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({
-          detail: 'Polarity must be connected before trying to disconnect'
-        });
+        return reject(new NotConnectedError('Polarity must be connected before trying to disconnect'));
+      }
+
+      // There is no session to log out of when authenticating with an API token
+      if (this._isTokenAuth(this._connectOptions)) {
+        this.isConnected = false;
+        this.host = null;
+        this._connectOptions = null;
+        return resolve();
       }
 
       let requestOptions = {
         uri: `${this.host}/v1/authenticate`,
         method: 'DELETE',
+        reauthenticate: false,
         json: true
       };
 
       this.postmanRequest(requestOptions, (err, response, body) => {
-        if (err || response.statusCode !== 200) {
-          return reject({
-            detail: 'HTTP Request Error',
-            response,
-            err
-          });
+        if (err) {
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode !== 200) {
+          return reject(createHttpError('Failed to disconnect from Polarity', requestOptions, response, body));
         }
 
         this.isConnected = false;
         this.host = null;
+        this._connectOptions = null;
 
         resolve(body);
       });
@@ -184,6 +318,10 @@ class Polarity {
     return !this.isConnected;
   }
 
+  _isTokenAuth(connectOptions) {
+    return Boolean(connectOptions) && typeof connectOptions.token === 'string' && connectOptions.token.length > 0;
+  }
+
   /**
    * Creates a new user
    * @param attributes
@@ -203,15 +341,11 @@ class Polarity {
    */
   async createUser(attributes, includePasswordInWelcomeEmail = false) {
     return new Promise((resolve, reject) => {
-      let renamedAttributes = {};
-
       // Set default values for optional attributes
-      const { isAdmin = false, isgLocal = true, enabled = true, ...requiredAttributes } = attributes;
+      const { isAdmin = false, isLocal = true, enabled = true, ...requiredAttributes } = attributes;
 
       // Convert camelcase attributes to dasherized for REST API format
-      for (const [key, value] of Object.entries({ isAdmin, isLocal, enabled, ...requiredAttributes })) {
-        renamedAttributes[inflected.dasherize(inflected.underscore(key))] = value;
-      }
+      const renamedAttributes = dasherizeAttributes({ isAdmin, isLocal, enabled, ...requiredAttributes });
 
       const requestOptions = {
         uri: `${this.host}/v1/users`,
@@ -228,31 +362,231 @@ class Polarity {
         }
       };
 
-      this.logger.debug({ requestOptions }, 'Create User');
+      // Never log the request body as it contains the user's password
+      this.logger.debug({ username: renamedAttributes.username }, 'Create User');
 
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error creating user', { body });
-          reject({
-            detail: `Failed to create user "${renamedAttributes.username}"`,
-            status: response.statusCode,
-            body: body
-          });
+          reject(
+            createHttpError(`Failed to create user "${renamedAttributes.username}"`, requestOptions, response, body)
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Updates the given user's attributes.  Only the provided attributes are changed.
+   * @param userId
+   * @param attributes Attributes to update in the same camelcase format accepted by `createUser`
+   * (e.g., `{ fullName: 'John Smith', isAdmin: false }`)
+   * @returns {Promise<unknown>}
+   */
+  async updateUser(userId, attributes) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to update a user'));
+      }
+
+      // Convert camelcase attributes to dasherized for REST API format
+      const renamedAttributes = dasherizeAttributes(attributes);
+
+      const requestOptions = {
+        uri: `${this.host}/v2/users/${userId}`,
+        method: 'PATCH',
+        body: {
+          data: {
+            type: 'users',
+            id: userId,
+            attributes: renamedAttributes
+          }
+        }
+      };
+
+      // Never log the request body as it may contain the user's password
+      this.logger.debug({ userId, attributes: Object.keys(renamedAttributes) }, 'Update User');
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error updating user ${userId}`, { body });
+          reject(createHttpError(`Failed to update user "${userId}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Disables the given user account.  Disabled users cannot log in.
+   * @param userId
+   * @returns {Promise<unknown>}
+   */
+  async disableUser(userId) {
+    return await this.updateUser(userId, { enabled: false });
+  }
+
+  /**
+   * Enables the given user account
+   * @param userId
+   * @returns {Promise<unknown>}
+   */
+  async enableUser(userId) {
+    return await this.updateUser(userId, { enabled: true });
+  }
+
+  /**
+   * Sets a new password for the given user account
+   * @param userId
+   * @param password {string} the new password
+   * @param forcePasswordReset {boolean} [true] if true, the user will be required to change their password on
+   * their next login
+   * @returns {Promise<unknown>}
+   */
+  async resetUserPassword(userId, password, forcePasswordReset = true) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new ValidationError('A new password must be provided when resetting a user password');
+    }
+
+    return await this.updateUser(userId, { password, forcePasswordReset });
+  }
+
+  /**
+   * Deletes the given user account
+   * @param userId
+   * @returns {Promise<unknown>}
+   */
+  async deleteUser(userId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to delete a user'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/users/${userId}`,
+        method: 'DELETE'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 204) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error deleting user ${userId}`, { body });
+          reject(createHttpError(`Failed to delete user "${userId}"`, requestOptions, response, body));
         }
       });
     });
   }
 
+  /**
+   * If a user with the given `username` exists (case-insensitive), this method will return the user object.
+   * If the user does not exist, the method will return `undefined`.
+   *
+   * @param username
+   * @returns {Promise<unknown>}
+   */
+  async getUserByUsername(username) {
+    const users = await this.getUsers({ filters: { 'user.username': username } });
+    return users.data.find((user) => user.attributes.username.toLowerCase() === username.toLowerCase());
+  }
+
+  /**
+   * Creates user accounts in bulk.  Existing accounts are detected by username and are either skipped or,
+   * if `updateExisting` is true, updated with the provided attributes (passwords of existing accounts are never
+   * changed).  Each row is processed independently so a failure does not stop the remaining rows.
+   *
+   * Passwords are never logged or included in the returned results.
+   *
+   * @param rows {Array} An array of user attribute objects in the format accepted by `createUser`.  Use
+   * `loadUsersCsv()` to read rows from a CSV file.
+   * @param options
+   * ```
+   * {
+   *    dryRun: {boolean} [false] if true, no accounts are created or updated and the results describe
+   *      what would happen,
+   *    updateExisting: {boolean} [false] if true, existing accounts are updated with the provided attributes,
+   *    includePasswordInWelcomeEmail: {boolean} [false] passed through to `createUser`
+   * }
+   * ```
+   * @returns {Promise<Object>} An object of the format:
+   * ```
+   * {
+   *   summary: { created: 0, updated: 0, wouldCreate: 0, wouldUpdate: 0, skipped: 0, failed: 0 },
+   *   results: [{ row: 0, username: 'jsmith', outcome: 'created', userId: '12' }, ...]
+   * }
+   * ```
+   * In dry run mode the outcome of rows that would be created or updated is `would-create` or `would-update` and
+   * they are counted as `wouldCreate` and `wouldUpdate` (`created` and `updated` are always 0).
+   */
+  async provisionUsers(rows, { dryRun = false, updateExisting = false, includePasswordInWelcomeEmail = false } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to provision users');
+    }
+
+    const summary = { created: 0, updated: 0, wouldCreate: 0, wouldUpdate: 0, skipped: 0, failed: 0 };
+    const summaryKeys = { 'would-create': 'wouldCreate', 'would-update': 'wouldUpdate' };
+    const results = [];
+
+    for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+      const { password, ...attributes } = rows[rowIndex];
+      const result = { row: rowIndex, username: attributes.username };
+
+      try {
+        if (typeof attributes.username !== 'string' || attributes.username.length === 0) {
+          throw new ValidationError(`Row ${rowIndex} is missing a username`);
+        }
+
+        const existingUser = await this.getUserByUsername(attributes.username);
+
+        if (existingUser) {
+          result.userId = existingUser.id;
+          if (!updateExisting) {
+            result.outcome = 'skipped';
+          } else if (dryRun) {
+            result.outcome = 'would-update';
+          } else {
+            await this.updateUser(existingUser.id, attributes);
+            result.outcome = 'updated';
+          }
+        } else if (dryRun) {
+          result.outcome = 'would-create';
+        } else {
+          const created = await this.createUser({ ...attributes, password }, includePasswordInWelcomeEmail);
+          result.userId = created.data.id;
+          result.outcome = 'created';
+        }
+      } catch (provisionErr) {
+        this.logger.error(`Failed to provision user in row ${rowIndex}`, { username: attributes.username });
+        result.outcome = 'failed';
+        result.error = provisionErr;
+      }
+
+      summary[summaryKeys[result.outcome] || result.outcome]++;
+
+      results.push(result);
+    }
+
+    return { summary, results };
+  }
+
   /**
    * Clears the given channel name (i.e., removes all channel content).
    * @param channelName
@@ -261,9 +595,7 @@ class Polarity {
   async clearChannel(channelName) {
     return new Promise(async (resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({
-          detail: 'Polarity must be connected before trying to clear a channel by name'
-        });
+        return reject(new NotConnectedError('Polarity must be connected before trying to clear a channel by name'));
       }
 
       try {
@@ -284,9 +616,9 @@ class Polarity {
   async getPermissionsForIntegration(integrationId) {
     return new Promise(async (resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({
-          detail: 'Polarity must be connected before trying to fetch groups for an integration'
-        });
+        return reject(
+          new NotConnectedError('Polarity must be connected before trying to fetch groups for an integration')
+        );
       }
 
       const requestOptions = {
@@ -298,21 +630,21 @@ class Polarity {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error(`Error retrieving permissions for integration ${integrationId}`, { body });
-          reject({
-            detail: `Failed to get permissions for integration "${integrationId}"`,
-            status: response.statusCode,
-            body: body
-          });
+          reject(
+            createHttpError(
+              `Failed to get permissions for integration "${integrationId}"`,
+              requestOptions,
+              response,
+              body
+            )
+          );
         }
       });
     });
@@ -324,14 +656,116 @@ class Polarity {
     return await this.getUsersForGroups(groupIds);
   }
 
+  /**
+   * Gives the given groups access to an integration.  Groups that already have access are left unchanged.
+   *
+   * @param integrationId
+   * @param groupIds {Array} array of group ids
+   * @param permissions {Object} [{}] permission attributes to apply to each new group permission
+   * @returns {Promise<Array>} the group ids that were granted access
+   */
+  async grantIntegrationAccess(integrationId, groupIds, { permissions = {} } = {}) {
+    const currentPermissions = await this.getPermissionsForIntegration(integrationId);
+    const currentGroupIds = new Set(currentPermissions.data.map(_getPermissionGroupId));
+    const groupIdsToGrant = _uniqueIds(groupIds).filter((groupId) => !currentGroupIds.has(groupId));
+
+    for (const groupId of groupIdsToGrant) {
+      await this._createIntegrationPermission(integrationId, groupId, permissions);
+    }
+
+    return groupIdsToGrant;
+  }
+
+  /**
+   * Removes access to an integration for the given groups.  Groups that do not have access are ignored.
+   *
+   * @param integrationId
+   * @param groupIds {Array} array of group ids
+   * @returns {Promise<Array>} the group ids that had access revoked
+   */
+  async revokeIntegrationAccess(integrationId, groupIds) {
+    const groupIdsToRevoke = new Set(_uniqueIds(groupIds));
+    const currentPermissions = await this.getPermissionsForIntegration(integrationId);
+    const revokedGroupIds = [];
+
+    for (const permission of currentPermissions.data) {
+      const groupId = _getPermissionGroupId(permission);
+      if (groupIdsToRevoke.has(groupId)) {
+        await this._deleteIntegrationPermission(integrationId, permission.id);
+        revokedGroupIds.push(groupId);
+      }
+    }
+
+    return revokedGroupIds;
+  }
+
+  /**
+   * Makes the set of groups with access to an integration exactly match `groupIds`.  Groups not in `groupIds` have
+   * their access revoked (unless `revoke` is false) and missing groups are granted access.  If `permissions` are
+   * provided, existing group permissions with different attribute values are updated to match.
+   *
+   * @param integrationId
+   * @param groupIds {Array} array of group ids that should have access to the integration
+   * @param permissions {Object} [{}] permission attributes every group permission should have
+   * @param dryRun {boolean} [false] if true, permissions are not changed and the result describes what would happen
+   * @param revoke {boolean} [true] if false, groups not in `groupIds` keep their access and are reported as `kept`
+   * @returns {Promise<Object>} An object of the format:
+   * ```
+   * {
+   *   granted: ['groupIdA'],
+   *   revoked: ['groupIdB'],
+   *   updated: ['groupIdC'],
+   *   kept: ['groupIdD']
+   * }
+   * ```
+   */
+  async setIntegrationAccess(integrationId, groupIds, { permissions = {}, dryRun = false, revoke = true } = {}) {
+    const desiredGroupIds = new Set(_uniqueIds(groupIds));
+    const currentPermissions = await this.getPermissionsForIntegration(integrationId);
+    const result = { granted: [], revoked: [], updated: [], kept: [] };
+    const currentGroupIds = new Set();
+
+    for (const permission of currentPermissions.data) {
+      const groupId = _getPermissionGroupId(permission);
+      currentGroupIds.add(groupId);
+
+      if (!desiredGroupIds.has(groupId) && !revoke) {
+        result.kept.push(groupId);
+      } else if (!desiredGroupIds.has(groupId)) {
+        result.revoked.push(groupId);
+        if (!dryRun) {
+          await this._deleteIntegrationPermission(integrationId, permission.id);
+        }
+      } else if (_hasDifferentAttributes(permission.attributes, permissions)) {
+        result.updated.push(groupId);
+        if (!dryRun) {
+          await this._updateIntegrationPermission(integrationId, permission.id, permissions);
+        }
+      } else {
+        result.kept.push(groupId);
+      }
+    }
+
+    for (const groupId of desiredGroupIds) {
+      if (!currentGroupIds.has(groupId)) {
+        result.granted.push(groupId);
+        if (!dryRun) {
+          await this._createIntegrationPermission(integrationId, groupId, permissions);
+        }
+      }
+    }
+
+    return result;
+  }
+
   async getUsersForGroups(groupIds) {
     const allUsers = [];
     const userIdSet = new Set();
     return new Promise(async (resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({
-          detail: 'Polarity must be connected before trying to fetch groups for an integration'
-        });
+        return reject(
+          new NotConnectedError('Polarity must be connected before trying to fetch groups for an integration')
+        );
       }
 
       async.eachLimit(groupIds, 1, (groupId, done) => {
@@ -344,10 +778,7 @@ class Polarity {
         this.postmanRequest(requestOptions, (err, response, body) => {
           if (err) {
             this.logger.error(err);
-            return reject({
-              detail: 'HTTP Request Error',
-              err: err
-            });
+            return reject(createRequestError(err, requestOptions));
           }
 
           if (response.statusCode === 200) {
@@ -360,11 +791,7 @@ class Polarity {
             done();
           } else {
             this.logger.error(`Error retrieving members for group ${groupId}`, { body });
-            done({
-              detail: `Failed to get members for group "${groupId}"`,
-              status: response.statusCode,
-              body: body
-            });
+            done(createHttpError(`Failed to get members for group "${groupId}"`, requestOptions, response, body));
           }
         });
       }, (err) => {
@@ -378,53 +805,286 @@ class Polarity {
   }
 
   /**
-   * If the channel with the given `channelName` exists, this method will return a channel object.
-   * If the channel does not exist, the method will return `undefined`.  If there was an error,
-   * the method will throw the error.
    *
-   * @param channelName
+   * @param options
+   * pageSize
+   * pageNumber
+   * filters
    * @returns {Promise<unknown>}
    */
-  async getChannel(channelName) {
+  async getGroups(options = {}) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to get a channel id' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to get groups'));
       }
 
       const requestOptions = {
-        uri: `${this.host}/v2/channels`,
+        uri: `${this.host}/v2/groups`,
+        method: 'GET',
         qs: {
-          'filter[channel.channel-name]': channelName.toLowerCase()
-        },
-        method: 'GET'
+          'page[number]': options.pageNumber ? options.pageNumber : 1
+        }
       };
 
+      if (options.pageSize) {
+        requestOptions.qs['page[size]'] = options.pageSize;
+      }
+
+      if (options.filters) {
+        Object.keys(options.filters).forEach((key) => {
+          requestOptions.qs[`filter[${key}]`] = options.filters[key];
+        });
+      }
+
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
-          const channel = body.data.find((channel) => {
-            return channel.attributes['channel-name'] === channelName;
-          });
-
-          if (channel) {
-            resolve(channel);
-          } else {
-            resolve();
-          }
+          resolve(body);
         } else {
-          this.logger.error('Error retrieving channel', { body });
-          reject({
-            detail: `Failed to get channel "${channelName}"`,
-            status: response.statusCode,
-            body: body
+          this.logger.error('Error Getting Groups', { body });
+          reject(createHttpError('Failed to get groups', requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns an async iterator over every group matching the given `filters`
+   *
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getGroups`)
+   * @param pageSize {number} [100] number of groups to fetch per request
+   * @returns {AsyncGenerator}
+   */
+  async *iterateGroups(filters = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    yield* this._iteratePages((pageNumber) => this.getGroups({ pageNumber, pageSize, filters }));
+  }
+
+  /**
+   * Returns an array of every group matching the given `filters`
+   *
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getGroups`)
+   * @param max {number} [Infinity] maximum number of groups to return
+   * @param pageSize {number} [100] number of groups to fetch per request
+   * @returns {Promise<Array>}
+   */
+  async getAllGroups(filters = {}, { max, pageSize } = {}) {
+    return collect(this.iterateGroups(filters, { pageSize }), max);
+  }
+
+  /**
+   * If a group with the given `groupName` exists (case-insensitive), this method will return the group object.
+   * If the group does not exist, the method will return `undefined`.
+   *
+   * @param groupName
+   * @returns {Promise<unknown>}
+   */
+  async getGroupByName(groupName) {
+    const groups = await this.getAllGroups({ 'group.name': groupName });
+    return groups.find((group) => group.attributes.name.toLowerCase() === groupName.toLowerCase());
+  }
+
+  /**
+   * Creates a new group
+   * @param groupName
+   * @param groupDescription
+   * @returns {Promise<unknown>}
+   */
+  async createGroup(groupName, groupDescription = '') {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to create a group'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/groups`,
+        method: 'POST',
+        body: {
+          data: {
+            type: 'groups',
+            attributes: {
+              name: groupName,
+              description: groupDescription
+            }
+          }
+        }
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 201) {
+          resolve(body);
+        } else {
+          this.logger.error('Error Creating Group', { body });
+          reject(createHttpError(`Failed to create group "${groupName}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Deletes the given group.  The members of the group are not deleted.
+   * @param groupId
+   * @returns {Promise<unknown>}
+   */
+  async deleteGroup(groupId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to delete a group'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/groups/${groupId}`,
+        method: 'DELETE'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 204) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error Deleting Group ${groupId}`, { body });
+          reject(createHttpError(`Failed to delete group "${groupId}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Adds the given users to a group.  Users that are already members are left unchanged.
+   * @param groupId
+   * @param userIds {Array} array of user ids
+   * @returns {Promise<unknown>}
+   */
+  async addUsersToGroup(groupId, userIds) {
+    return this._updateGroupMembers(groupId, userIds, 'POST');
+  }
+
+  /**
+   * Removes the given users from a group
+   * @param groupId
+   * @param userIds {Array} array of user ids
+   * @returns {Promise<unknown>}
+   */
+  async removeUsersFromGroup(groupId, userIds) {
+    return this._updateGroupMembers(groupId, userIds, 'DELETE');
+  }
+
+  /**
+   * Makes the membership of the given group match `usernames` by adding missing users and removing users
+   * that are not in the list.
+   *
+   * @param groupId
+   * @param usernames {Array} usernames that should be members of the group
+   * @param dryRun {boolean} [false] if true, membership is not changed and the result describes what would happen
+   * @returns {Promise<Object>} An object of the format:
+   * ```
+   * {
+   *   added: ['usernameA'],
+   *   removed: ['usernameB'],
+   *   kept: ['usernameC'],
+   *   notFound: ['usernameD'] // usernames that do not exist on the server and could not be added
+   * }
+   * ```
+   */
+  async syncGroupMembers(groupId, usernames, { dryRun = false } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to sync group members');
+    }
+
+    const members = await this.getUsersForGroups([groupId]);
+    const membersByUsername = new Map(members.map((user) => [user.attributes.username.toLowerCase(), user]));
+    const desiredUsernames = new Set(usernames.map((username) => username.toLowerCase()));
+
+    const result = { added: [], removed: [], kept: [], notFound: [] };
+    const userIdsToAdd = [];
+    const userIdsToRemove = [];
+
+    for (const username of usernames) {
+      if (membersByUsername.has(username.toLowerCase())) {
+        result.kept.push(username);
+        continue;
+      }
+
+      const user = await this.getUserByUsername(username);
+      if (user) {
+        userIdsToAdd.push(user.id);
+        result.added.push(username);
+      } else {
+        result.notFound.push(username);
+      }
+    }
+
+    members.forEach((user) => {
+      if (!desiredUsernames.has(user.attributes.username.toLowerCase())) {
+        userIdsToRemove.push(user.id);
+        result.removed.push(user.attributes.username);
+      }
+    });
+
+    if (!dryRun && userIdsToAdd.length > 0) {
+      await this.addUsersToGroup(groupId, userIdsToAdd);
+    }
+
+    if (!dryRun && userIdsToRemove.length > 0) {
+      await this.removeUsersFromGroup(groupId, userIdsToRemove);
+    }
+
+    return result;
+  }
+
+  /**
+   * If the channel with the given `channelName` exists, this method will return a channel object.
+   * If the channel does not exist, the method will return `undefined`.  If there was an error,
+   * the method will throw the error.
+   *
+   * @param channelName
+   * @returns {Promise<unknown>}
+   */
+  async getChannel(channelName) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to get a channel id'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels`,
+        qs: {
+          'filter[channel.channel-name]': channelName.toLowerCase()
+        },
+        method: 'GET'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          const channel = body.data.find((channel) => {
+            return channel.attributes['channel-name'] === channelName;
           });
+
+          if (channel) {
+            resolve(channel);
+          } else {
+            resolve();
+          }
+        } else {
+          this.logger.error('Error retrieving channel', { body });
+          reject(createHttpError(`Failed to get channel "${channelName}"`, requestOptions, response, body));
         }
       });
     });
@@ -433,18 +1093,16 @@ class Polarity {
   /**
    *
    * @param integrations Array of integration ids
-   * @param text text to parse and extra entities from.  Text must be less than 5,000 characters
+   * @param text text to parse and extra entities from.  Text longer than 5,000 characters is split into chunks on
+   * line and whitespace boundaries (see `chunkText`) which are parsed separately.  Entities found in more than one
+   * chunk are only looked up once.
    * @param ignoreLookupErrors boolean indicating whether errors should be ignored
    * @returns {Promise<unknown>}
    */
   async searchIntegrations(integrations, text, ignoreLookupErrors = false) {
     return new Promise(async (resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to run an integration lookup' });
-      }
-
-      if (text.length > 5000) {
-        return reject({ details: 'Text length must be less than 5000 characters' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to run an integration lookup'));
       }
 
       const resultsByIntegration = integrations.reduce((accum, integrationId) => {
@@ -456,13 +1114,21 @@ class Polarity {
         return accum;
       }, {});
 
-      let entities;
+      let entities = [];
       try {
-        const result = await this.parseEntities(text);
-        entities = result.data.attributes.entities;
+        const chunks = chunkText(text, MAX_PARSE_TEXT_LENGTH);
+        if (chunks.length > 1) {
+          this.logger.debug(`searchIntegrations(): Parsing text in ${chunks.length} chunks`);
+        }
+
+        for (const chunk of chunks) {
+          const result = await this.parseEntities(chunk);
+          entities.push(...result.data.attributes.entities);
+        }
+        entities = _uniqueEntities(entities);
       } catch (parseErr) {
         this.logger.error('Error parsing text', parseErr);
-        reject(parseErr);
+        return reject(parseErr);
       }
 
       await async.eachLimit(integrations, 10, async (integrationId) => {
@@ -491,15 +1157,84 @@ class Polarity {
     });
   }
 
+  /**
+   * Caches the results of `integrationLookup()` (and therefore `searchIntegrations()`) so the same entity is not
+   * looked up in the same integration again until its cached result expires.
+   *
+   * @param cache {LookupCache|Object} a `LookupCache` or the options to create one with (see `LookupCache`)
+   * @returns {LookupCache} the cache, which can be used to retrieve hit/miss stats with `getStats()`
+   */
+  enableLookupCache(cache = {}) {
+    this.lookupCache = cache instanceof LookupCache ? cache : new LookupCache(cache);
+    return this.lookupCache;
+  }
+
+  disableLookupCache() {
+    this.lookupCache = null;
+  }
+
+  /**
+   * Looks up the given parsed entities in an integration.  If a lookup cache is enabled (see `enableLookupCache`)
+   * only entities that are not cached are sent to the integration.  Entities the integration returns no result
+   * for are cached as well.
+   *
+   * @param integrationId
+   * @param parsedEntities {Array} entities returned by `parseEntities()`
+   * @returns {Promise<unknown>}
+   */
   async integrationLookup(integrationId, parsedEntities) {
+    if (!this.lookupCache || this.isDisconnected()) {
+      return this._integrationLookup(integrationId, parsedEntities);
+    }
+
+    const cachedResults = [];
+    const uncachedEntities = [];
+    for (const entity of parsedEntities) {
+      const cachedResult = await this.lookupCache.get(integrationId, entity);
+      if (typeof cachedResult === 'undefined') {
+        uncachedEntities.push(entity);
+      } else if (cachedResult !== null) {
+        // a cached `null` means the integration had no result for the entity
+        cachedResults.push(cachedResult);
+      }
+    }
+
+    if (uncachedEntities.length === 0) {
+      this.logger.debug(`integrationLookup(): All ${parsedEntities.length} entities cached for ${integrationId}`);
+      return { data: { type: 'integration-lookups', attributes: { results: cachedResults } } };
+    }
+
+    const body = await this._integrationLookup(integrationId, uncachedEntities);
+    const results = body.data.attributes.results;
+    if (Array.isArray(results)) {
+      const entityKeys = new Set();
+      for (const result of results) {
+        entityKeys.add(_getEntityKey(result.entity));
+        await this.lookupCache.set(integrationId, result.entity, result);
+      }
+      // Entities without a result are cached as `null` so they are not looked up again until the entry expires
+      for (const entity of uncachedEntities) {
+        if (!entityKeys.has(_getEntityKey(entity))) {
+          await this.lookupCache.set(integrationId, entity, null);
+        }
+      }
+      body.data.attributes.results = [...cachedResults, ...results];
+    }
+
+    return body;
+  }
+
+  async _integrationLookup(integrationId, parsedEntities) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to run an integration lookup' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to run an integration lookup'));
       }
 
       const requestOptions = {
         uri: `${this.host}/v2/integration-lookups/${integrationId}`,
         method: 'POST',
+        // lookups do not modify server state so are safe to retry
+        retry: true,
         body: {
           data: {
             type: 'integration-lookups',
@@ -513,21 +1248,16 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error(`Error Running Integration Lookup ${integrationId}`, { body });
-          reject({
-            detail: `Failed to run integration lookup for ${integrationId}`,
-            status: response.statusCode,
-            body: body
-          });
+          reject(
+            createHttpError(`Failed to run integration lookup for ${integrationId}`, requestOptions, response, body)
+          );
         }
       });
     });
@@ -536,12 +1266,13 @@ class Polarity {
   async parseEntities(text) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to parseEntities' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to parseEntities'));
       }
 
       const requestOptions = {
         uri: `${this.host}/v2/parsed-entities`,
         method: 'POST',
+        retry: true,
         body: {
           text
         }
@@ -550,21 +1281,14 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error Parsing Entities', { body });
-          reject({
-            detail: 'Failed to parse text',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to parse text', requestOptions, response, body));
         }
       });
     });
@@ -573,7 +1297,7 @@ class Polarity {
   async getIntegrationById(integrationId) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to get integrations by id' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to get integrations by id'));
       }
 
       const requestOptions = {
@@ -584,21 +1308,14 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error(`Error Getting Integration ${integrationId}`, { body });
-          reject({
-            detail: `Failed to get integration ${integrationId}`,
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError(`Failed to get integration ${integrationId}`, requestOptions, response, body));
         }
       });
     });
@@ -607,7 +1324,7 @@ class Polarity {
   async getIntegrations() {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to get integrations' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to get integrations'));
       }
 
       const requestOptions = {
@@ -618,21 +1335,14 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error Getting Integrations', { body });
-          reject({
-            detail: 'Failed to get integrations',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to get integrations', requestOptions, response, body));
         }
       });
     });
@@ -641,16 +1351,13 @@ class Polarity {
   async request(requestOptions) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before running a request' });
+        return reject(new NotConnectedError('Polarity must be connected before running a request'));
       }
 
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         return resolve(response);
@@ -665,10 +1372,10 @@ class Polarity {
    * pageNumber
    * @returns {Promise<unknown>}
    */
-  async getUsers(options) {
+  async getUsers(options = {}) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to get users' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to get users'));
       }
 
       const requestOptions = {
@@ -697,26 +1404,48 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error Getting Users', { body });
-          reject({
-            detail: 'Failed to get users',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to get users', requestOptions, response, body));
         }
       });
     });
   }
 
+  /**
+   * Returns an async iterator over every user matching the given `filters`.  Pages are fetched
+   * as the iterator is consumed.
+   *
+   * ```
+   * for await (const user of polarity.iterateUsers({ 'user.enabled': true })) {
+   *   console.info(user.attributes.username);
+   * }
+   * ```
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getUsers`)
+   * @param pageSize {number} [100] number of users to fetch per request
+   * @returns {AsyncGenerator}
+   */
+  async *iterateUsers(filters = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    yield* this._iteratePages((pageNumber) => this.getUsers({ pageNumber, pageSize, filters }));
+  }
+
+  /**
+   * Returns an array of every user matching the given `filters`
+   *
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getUsers`)
+   * @param max {number} [Infinity] maximum number of users to return
+   * @param pageSize {number} [100] number of users to fetch per request
+   * @returns {Promise<Array>}
+   */
+  async getAllUsers(filters = {}, { max, pageSize } = {}) {
+    return collect(this.iterateUsers(filters, { pageSize }), max);
+  }
+
   /**
    *
    * @param setting must be one of `authentication`, `smtp`, or `autoupdates`
@@ -725,7 +1454,7 @@ class Polarity {
   async getServerSetting(setting) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to fetch a server setting' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to fetch a server setting'));
       }
 
       const requestOptions = {
@@ -736,21 +1465,14 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error(`Error Getting Server Setting ${setting}`, { body });
-          reject({
-            detail: `Failed to get server setting ${setting}`,
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError(`Failed to get server setting ${setting}`, requestOptions, response, body));
         }
       });
     });
@@ -759,7 +1481,7 @@ class Polarity {
   async getIntegrationOptions(integrationId) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to clear a channel' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to clear a channel'));
       }
 
       const requestOptions = {
@@ -773,21 +1495,14 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error Getting Integration Options', { body });
-          reject({
-            detail: 'Failed to get integration options',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to get integration options', requestOptions, response, body));
         }
       });
     });
@@ -826,7 +1541,7 @@ class Polarity {
     const CLEAR_CHANNEL_CHECK_INTERVAL = 30000; // 30 seconds
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to clear a channel' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to clear a channel'));
       }
 
       const requestOptions = {
@@ -837,10 +1552,7 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         // The clear channel endpoint returns a 200 if the channel is done clearing.
@@ -874,11 +1586,7 @@ class Polarity {
           }, CLEAR_CHANNEL_CHECK_INTERVAL);
         } else {
           this.logger.error('Error Clearing Channel', { body });
-          reject({
-            detail: 'Failed to clear channel',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to clear channel', requestOptions, response, body));
         }
       });
     });
@@ -907,10 +1615,81 @@ class Polarity {
     return false;
   }
 
+  /**
+   * Returns an async iterator over every annotation (tag entity pair) in the given channel.  Each annotation is
+   * yielded as an object of the format:
+   * ```
+   * {
+   *   annotationId: {string} id of the tag entity pair (can be passed to `deleteAnnotationById`),
+   *   entity: {string} the entity value,
+   *   tag: {string} the tag,
+   *   type: {string} the entity type (e.g., `ip` or `string`),
+   *   creator: {string} username of the user that applied the tag,
+   *   created: {string} ISO 8601 date the tag was applied
+   * }
+   * ```
+   * @param channelId
+   * @param pageSize {number} [100] number of annotations to fetch per request
+   * @returns {AsyncGenerator}
+   */
+  async *iterateChannelAnnotations(channelId, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const options = {
+      'option[count]': false,
+      'option[searchTags]': true,
+      'option[searchComments]': false,
+      'option[searchEntities]': true,
+      'option[searchAllUsers]': true,
+      'option[searchLoggedInUser]': false,
+      'option[searchSelectedUsers]': false,
+      'filter[tag-entity-pair.channel-id]': channelId
+    };
+
+    for await (const item of this.iterateSearchableItems(options, { pageSize })) {
+      yield {
+        annotationId: item.attributes['tag-entity-pair-id'],
+        entity: item.attributes['searchable-item-name'],
+        tag: item.attributes['tag-name'],
+        type: item.attributes['entity-type'],
+        creator: item.attributes['username'],
+        created: item.attributes['created']
+      };
+    }
+  }
+
+  /**
+   * Exports every annotation in the given channel.  Each record contains the entity, tag, type, creator and
+   * created date.  Exports can be converted back into `applyTags` rows using `parseChannelExport()`.
+   *
+   * @param channelId
+   * @param format {string} ['csv'] one of `csv`, `json` or `jsonl`
+   * @param filePath {string} if provided, the export is written to this file
+   * @returns {Promise<string>} the exported content
+   */
+  async exportChannel(channelId, { format = 'csv', filePath } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError(`Export format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to export a channel');
+    }
+
+    const records = await collect(this.iterateChannelAnnotations(channelId, { pageSize: EXPORT_PAGE_SIZE }));
+    this.logger.debug(`exportChannel(): Exporting ${records.length} annotations from channel ${channelId}`);
+
+    const content = formatChannelExport(records, format);
+
+    if (filePath) {
+      await fs.promises.writeFile(filePath, content, 'utf8');
+    }
+
+    return content;
+  }
+
   async search(options) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to clear a channel' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to clear a channel'));
       }
 
       const requestOptions = {
@@ -922,33 +1701,54 @@ class Polarity {
       return this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error searching', { body });
-          reject({
-            detail: 'Failed to search',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to search', requestOptions, response, body));
         }
       });
     });
   }
 
-  async createChannel(channelName, channelDescription = '') {
-    return new Promise((resolve, reject) => {
-      if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to create a channel' });
-      }
+  /**
+   * Returns an async iterator over every searchable item matching the given search `options`.  Pages are
+   * fetched as the iterator is consumed.
+   *
+   * @param options {Object} search query parameters (same format as `search`).  Any `page[number]` or
+   * `page[size]` keys are ignored.
+   * @param pageSize {number} [100] number of items to fetch per request
+   * @returns {AsyncGenerator}
+   */
+  async *iterateSearchableItems(options = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const { 'page[number]': ignoredPageNumber, 'page[size]': ignoredPageSize, ...searchOptions } = options;
+    yield* this._iteratePages((pageNumber) =>
+      this.search({ ...searchOptions, 'page[number]': pageNumber, 'page[size]': pageSize })
+    );
+  }
 
-      let requestOptions = {
+  /**
+   * Returns an array of every searchable item matching the given search `options`
+   *
+   * @param options {Object} search query parameters (same format as `search`)
+   * @param max {number} [Infinity] maximum number of items to return
+   * @param pageSize {number} [100] number of items to fetch per request
+   * @returns {Promise<Array>}
+   */
+  async getAllSearchableItems(options = {}, { max, pageSize } = {}) {
+    return collect(this.iterateSearchableItems(options, { pageSize }), max);
+  }
+
+  async createChannel(channelName, channelDescription = '') {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to create a channel'));
+      }
+
+      let requestOptions = {
         uri: `${this.host}/v2/channels`,
         method: 'POST',
         body: {
@@ -965,26 +1765,264 @@ class Polarity {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 201) {
           resolve(body);
         } else {
           this.logger.error('Error Creating Channel', { body });
-          reject({
-            detail: 'Failed to create channel',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to create channel', requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   *
+   * @param options
+   * pageSize
+   * pageNumber
+   * filters
+   * @returns {Promise<unknown>}
+   */
+  async getChannels(options = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to get channels'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels`,
+        method: 'GET',
+        qs: {
+          'page[number]': options.pageNumber ? options.pageNumber : 1
+        }
+      };
+
+      if (options.pageSize) {
+        requestOptions.qs['page[size]'] = options.pageSize;
+      }
+
+      if (options.filters) {
+        Object.keys(options.filters).forEach((key) => {
+          requestOptions.qs[`filter[${key}]`] = options.filters[key];
+        });
+      }
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error('Error Getting Channels', { body });
+          reject(createHttpError('Failed to get channels', requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns an async iterator over every channel matching the given `filters`
+   *
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getChannels`)
+   * @param pageSize {number} [100] number of channels to fetch per request
+   * @returns {AsyncGenerator}
+   */
+  async *iterateChannels(filters = {}, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    yield* this._iteratePages((pageNumber) => this.getChannels({ pageNumber, pageSize, filters }));
+  }
+
+  /**
+   * Returns an array of every channel matching the given `filters`
+   *
+   * @param filters {Object} filters to apply (same format as the `filters` option of `getChannels`)
+   * @param max {number} [Infinity] maximum number of channels to return
+   * @param pageSize {number} [100] number of channels to fetch per request
+   * @returns {Promise<Array>}
+   */
+  async getAllChannels(filters = {}, { max, pageSize } = {}) {
+    return collect(this.iterateChannels(filters, { pageSize }), max);
+  }
+
+  /**
+   * Updates the name and/or description of a channel
+   *
+   * @param channelId
+   * @param attributes
+   * ```
+   * {
+   *    channelName: {string} the new name of the channel,
+   *    description: {string} the new description of the channel
+   * }
+   * ```
+   * @returns {Promise<unknown>}
+   */
+  async updateChannel(channelId, attributes) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to update a channel'));
+      }
+
+      const renamedAttributes = dasherizeAttributes(attributes);
+      if (Object.keys(renamedAttributes).length === 0) {
+        return reject(new ValidationError('At least one channel attribute must be provided to update a channel'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels/${channelId}`,
+        method: 'PATCH',
+        retry: true,
+        body: {
+          data: {
+            type: 'channels',
+            id: channelId,
+            attributes: renamedAttributes
+          }
+        }
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error('Error Updating Channel', { body });
+          reject(createHttpError(`Failed to update channel "${channelId}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Deletes a channel along with all of its content.  Use `clearChannelById` to remove the content of a
+   * channel without deleting the channel itself.
+   *
+   * @param channelId
+   * @returns {Promise<unknown>}
+   */
+  async deleteChannel(channelId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to delete a channel'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels/${channelId}`,
+        method: 'DELETE'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        // The channel endpoint returns a 202 if the channel is still being deleted in the background
+        if (response.statusCode === 200 || response.statusCode === 202 || response.statusCode === 204) {
+          resolve(body);
+        } else {
+          this.logger.error('Error Deleting Channel', { body });
+          reject(createHttpError(`Failed to delete channel "${channelId}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Returns the group and user permissions for a channel
+   *
+   * @param channelId
+   * @returns {Promise<unknown>}
+   */
+  async getChannelPermissions(channelId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to get channel permissions'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels/${channelId}/permissions`,
+        method: 'GET'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error retrieving permissions for channel ${channelId}`, { body });
+          reject(
+            createHttpError(`Failed to get permissions for channel "${channelId}"`, requestOptions, response, body)
+          );
         }
       });
     });
   }
 
+  /**
+   * Sets the read/write permission a group or user has on a channel.  If the group or user already has a
+   * permission on the channel it is updated, otherwise a new permission is created.
+   *
+   * @param channelId
+   * @param principal {Object} either `{ groupId }` or `{ userId }`
+   * @param read {boolean} [true] if true, the group or user can see the channel's content
+   * @param write {boolean} [false] if true, the group or user can add content to the channel
+   * @returns {Promise<unknown>}
+   */
+  async setChannelPermission(channelId, principal, { read = true, write = false } = {}) {
+    const relationship = _getChannelPermissionRelationship(principal);
+    const existingPermission = await this._findChannelPermission(channelId, relationship);
+    const attributes = { read, write };
+
+    if (existingPermission) {
+      return this._sendChannelPermission(channelId, 'PATCH', `/${existingPermission.id}`, {
+        type: 'permissions',
+        id: existingPermission.id,
+        attributes
+      });
+    }
+
+    return this._sendChannelPermission(channelId, 'POST', '', {
+      type: 'permissions',
+      attributes,
+      relationships: {
+        [relationship.name]: { data: { type: relationship.type, id: relationship.id } }
+      }
+    });
+  }
+
+  /**
+   * Removes the permission a group or user has on a channel
+   *
+   * @param channelId
+   * @param principal {Object} either `{ groupId }` or `{ userId }`
+   * @returns {Promise<boolean>} true if a permission was removed, false if the group or user had no permission
+   */
+  async removeChannelPermission(channelId, principal) {
+    const relationship = _getChannelPermissionRelationship(principal);
+    const existingPermission = await this._findChannelPermission(channelId, relationship);
+
+    if (!existingPermission) {
+      return false;
+    }
+
+    await this._sendChannelPermission(channelId, 'DELETE', `/${existingPermission.id}`);
+    return true;
+  }
+
   /**
    * Restarts the given integration based on the integration's directory name
    *
@@ -1010,24 +2048,27 @@ class Polarity {
   async updateIntegrationOption(integrationId, optionName, optionAttributes) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to update an integration option' });
+        return reject(
+          new NotConnectedError('Polarity must be connected before trying to update an integration option')
+        );
       }
 
       if (typeof optionAttributes['admin-only'] !== 'boolean') {
-        return reject({ detail: 'optionAttributes must include an `admin-only` boolean property' });
+        return reject(new ValidationError('optionAttributes must include an `admin-only` boolean property'));
       }
 
       if (typeof optionAttributes['user-can-edit'] !== 'boolean') {
-        return reject({ detail: 'optionAttributes must include an `user-can-edit` boolean property' });
+        return reject(new ValidationError('optionAttributes must include an `user-can-edit` boolean property'));
       }
 
       if (typeof optionAttributes['value'] === 'undefined') {
-        return reject({ detail: 'optionAttributes must include an `value` property' });
+        return reject(new ValidationError('optionAttributes must include an `value` property'));
       }
 
       const requestOptions = {
         uri: `${this.host}/v2/integration-options`,
         method: 'PATCH',
+        retry: true,
         body: {
           data: [
             {
@@ -1042,21 +2083,14 @@ class Polarity {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error updating option', { body });
-          reject({
-            detail: 'Failed to update integration option',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to update integration option', requestOptions, response, body));
         }
       });
     });
@@ -1073,7 +2107,7 @@ class Polarity {
   async restartIntegrationById(integrationId) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to restart an integration' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to restart an integration'));
       }
 
       const requestOptions = {
@@ -1084,26 +2118,202 @@ class Polarity {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error Restarting Integration', { body });
-          reject({
-            detail: 'Failed to restart integration',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to restart integration', requestOptions, response, body));
         }
       });
     });
   }
 
+  /**
+   * Starts polling the status of integrations.  The returned `IntegrationMonitor` emits events when an
+   * integration's status changes (e.g., `down` and `recovered`) and can optionally restart unhealthy integrations.
+   * Call `stop()` on the monitor to stop polling.
+   *
+   * @param options
+   * ```
+   * {
+   *    interval: {number} [60000] milliseconds between polls,
+   *    autoRestart: {boolean} [false] if true, unhealthy integrations are restarted,
+   *    maxRestartsPerHour: {number} [3] maximum number of restarts per integration in any hour,
+   *    restartCooldown: {number} [300000] milliseconds after a restart during which the integration is not
+   *      restarted again,
+   *    integrationIds: {Array} if provided, only these integrations are monitored,
+   *    healthyStatuses: {Array} [['running']] integration statuses that are considered healthy
+   * }
+   * ```
+   * @returns {IntegrationMonitor}
+   */
+  monitorIntegrations(options = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to monitor integrations');
+    }
+
+    return new IntegrationMonitor(this, options).start();
+  }
+
+  /**
+   * Snapshots the options of the given integrations.  Every option's value, `admin-only` and `user-can-edit`
+   * attributes are included except for the values of password options which are marked with `secret: true`
+   * and must be provided separately when restoring the snapshot with `importIntegrationConfig()`.
+   *
+   * @param integrationIds {Array|String} ['all'] the ids of the integrations to export or `all`
+   * @param filePath {string} if provided, the snapshot is written to this file as JSON
+   * @returns {Promise<Object>} the snapshot of the format:
+   * ```
+   * {
+   *   version: 1,
+   *   exported: '2024-01-01T00:00:00.000Z',
+   *   host: 'https://my-polarity-server',
+   *   integrations: {
+   *     aws_ec2: {
+   *       name: 'AWS EC2',
+   *       options: {
+   *         region: { type: 'text', value: 'us-east-1', 'admin-only': true, 'user-can-edit': false },
+   *         secretAccessKey: { type: 'password', secret: true, 'admin-only': true, 'user-can-edit': false }
+   *       }
+   *     }
+   *   }
+   * }
+   * ```
+   */
+  async exportIntegrationConfig(integrationIds = 'all', { filePath } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to export integration config');
+    }
+
+    const integrations = (await this.getIntegrations()).data;
+    const selectedIntegrations =
+      integrationIds === 'all'
+        ? integrations
+        : _uniqueIds(Array.isArray(integrationIds) ? integrationIds : [integrationIds]).map((integrationId) => {
+            const integration = integrations.find((integration) => integration.id === integrationId);
+            if (!integration) {
+              throw new ValidationError(`Integration "${integrationId}" does not exist`);
+            }
+            return integration;
+          });
+
+    const config = {
+      version: INTEGRATION_CONFIG_VERSION,
+      exported: new Date().toISOString(),
+      host: this.host,
+      integrations: {}
+    };
+
+    for (const integration of selectedIntegrations) {
+      const options = await this.getIntegrationOptions(integration.id);
+      config.integrations[integration.id] = toIntegrationConfigEntry(integration, options.data);
+    }
+
+    this.logger.debug(`exportIntegrationConfig(): Exported options for ${selectedIntegrations.length} integrations`);
+
+    if (filePath) {
+      await fs.promises.writeFile(filePath, JSON.stringify(config, null, 2), 'utf8');
+    }
+
+    return config;
+  }
+
+  /**
+   * Restores integration options from a snapshot created by `exportIntegrationConfig()`.  Only options that
+   * differ from the server are updated.  Password options are only restored if their value is provided in
+   * `secrets`, otherwise they are skipped.
+   *
+   * @param config {Object|String} the snapshot or the path to a snapshot file
+   * @param options
+   * ```
+   * {
+   *    onlyIntegrations: {Array} if provided, only these integrations are restored,
+   *    dryRun: {boolean} [false] if true, no options are updated and the result describes what would happen,
+   *    secrets: {Object|String} [{}] the values of password options (or the path to a JSON file containing them)
+   *      of the format `{ aws_ec2: { secretAccessKey: 'value' } }`
+   * }
+   * ```
+   * @returns {Promise<Object>} An object of the format:
+   * ```
+   * {
+   *   summary: { updated: 1, kept: 1, skipped: 1 },
+   *   updated: [{ integrationId, option, changed: ['value'] }],
+   *   kept: [{ integrationId, option }],
+   *   skipped: [{ integrationId, option, reason }]
+   * }
+   * ```
+   */
+  async importIntegrationConfig(config, { onlyIntegrations, dryRun = false, secrets = {} } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to import integration config');
+    }
+
+    const parsedConfig = parseIntegrationConfig(
+      typeof config === 'string' ? await fs.promises.readFile(config, 'utf8') : config
+    );
+    const parsedSecrets =
+      typeof secrets === 'string' ? JSON.parse(await fs.promises.readFile(secrets, 'utf8')) : secrets;
+    const result = { updated: [], kept: [], skipped: [] };
+
+    const integrationIds = Object.keys(parsedConfig.integrations).filter(
+      (integrationId) => !Array.isArray(onlyIntegrations) || onlyIntegrations.includes(integrationId)
+    );
+
+    for (const integrationId of integrationIds) {
+      const currentOptions = new Map(
+        (await this.getIntegrationOptions(integrationId)).data.map((option) => [
+          getOptionName(option, integrationId),
+          option
+        ])
+      );
+
+      if (currentOptions.size === 0) {
+        result.skipped.push({ integrationId, reason: 'Integration does not exist' });
+        continue;
+      }
+
+      const integrationSecrets = parsedSecrets[integrationId] || {};
+
+      for (const [option, optionConfig] of Object.entries(parsedConfig.integrations[integrationId].options)) {
+        const currentOption = currentOptions.get(option);
+
+        if (!currentOption) {
+          result.skipped.push({ integrationId, option, reason: 'Option does not exist' });
+          continue;
+        }
+
+        const secretValue = integrationSecrets[option];
+        if (optionConfig.secret && typeof secretValue === 'undefined') {
+          result.skipped.push({ integrationId, option, reason: 'Secret value was not provided' });
+          continue;
+        }
+
+        const changed = getChangedOptionAttributes(optionConfig, currentOption, secretValue);
+        if (changed.length === 0) {
+          result.kept.push({ integrationId, option });
+          continue;
+        }
+
+        result.updated.push({ integrationId, option, changed });
+        if (!dryRun) {
+          await this.updateIntegrationOption(integrationId, option, {
+            value: optionConfig.secret ? secretValue : optionConfig.value,
+            'admin-only': getOptionFlag(optionConfig, currentOption, 'admin-only'),
+            'user-can-edit': getOptionFlag(optionConfig, currentOption, 'user-can-edit')
+          });
+        }
+      }
+    }
+
+    return {
+      summary: { updated: result.updated.length, kept: result.kept.length, skipped: result.skipped.length },
+      ...result
+    };
+  }
+
   /**
    *
    * @param rows a two dimensional array of the format:
@@ -1117,12 +2327,35 @@ class Polarity {
    * @param channelId {number} the channel id to apply tags into
    * @param stopOnInvalidData {boolean} [false] if true the operation will stop as soon as an invalid tag
    * or entity is encountered.
+   * @param options
+   * ```
+   * {
+   *    entityTypes: {Object} [{}] map of entity values to entity types (e.g., `{ 'example.com': 'domain' }`).
+   *      Entities can be listed by their value as provided or by their refanged value.  Entities not in the map
+   *      have their type detected (see `getEntityType` in `validator.js`),
+   *    refang: {boolean} [true] if true, defanged entities such as `hxxp://evil[.]com` are converted back into
+   *      their original value before being uploaded.  Rewritten rows are logged and reported via the `refanged` event.
+   *      Use `refangRows` directly to get the report before uploading.
+   * }
+   * ```
    * @returns {Promise<unknown>}
    */
-  async applyTags(rows, channelId, stopOnInvalidData = false) {
+  async applyTags(rows, channelId, stopOnInvalidData = false, { entityTypes = {}, refang = true } = {}) {
     return new Promise(async (resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to getTagsByEntityValue()' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to getTagsByEntityValue()'));
+      }
+
+      const originalRows = rows;
+      if (refang) {
+        const refangResult = refangRows(rows);
+        rows = refangResult.rows;
+        if (refangResult.rewritten.length > 0) {
+          this.logger.info(`applyTags(): Refanged ${refangResult.rewritten.length} entities`, {
+            rewritten: refangResult.rewritten
+          });
+          this.emit('refanged', { channelId, rewritten: refangResult.rewritten });
+        }
       }
 
       try {
@@ -1135,22 +2368,28 @@ class Polarity {
           const entityError = validateEntity(entity);
 
           if (entityError && stopOnInvalidData) {
-            throw new Error(entityError);
+            throw new ValidationError(entityError);
           } else if (entityError) {
             // skip importing this row if the entity was invalid
             continue;
           }
 
+          // `entityTypes` may be keyed by the value as provided (e.g., `evil[.]com`) or by the refanged value
+          const entityTypeKey = [String(originalRows[rowIndex][0]).trim(), entity].find((key) =>
+            Object.prototype.hasOwnProperty.call(entityTypes, key)
+          );
+          const entityType = entityTypeKey ? entityTypes[entityTypeKey] : getEntityType(entity);
+
           for (let columnIndex = 1; columnIndex < row.length; columnIndex++) {
             const tag = row[columnIndex].trim();
             const tagError = validateTag(tag);
             if (tagError && stopOnInvalidData) {
-              throw new Error(tagError);
+              throw new ValidationError(tagError);
             } else if (tagError) {
               // skip importing this tag if the tag was invalid
               continue;
             }
-            data.push(this._createTagEntityPair(entity, tag, [channelId]));
+            data.push(this._createTagEntityPair(entity, tag, [channelId], entityType));
           }
 
           if (data.length >= MAX_TAG_ENTITIES_PER_REQUEST) {
@@ -1171,6 +2410,157 @@ class Polarity {
     });
   }
 
+  /**
+   * Imports the observables in a STIX 2.1 bundle into a channel.  Entities are extracted from STIX indicator patterns
+   * and cyber-observable objects, tagged with the labels, names and kill chain phases of their indicators, and then
+   * uploaded using `applyTags`.  Indicators and cyber-observable objects without any of these tags are tagged with
+   * their object type.  See `stixBundleToRows` for details.
+   *
+   * @param bundle {Object|String} the STIX bundle as an object or JSON string
+   * @param channelId {number} the channel id to apply tags into
+   * @param options
+   * ```
+   * {
+   *    tagFrom: {Array} [['labels', 'name', 'killChainPhases']] indicator properties to create tags from,
+   *    additionalTags: {Array} [[]] tags applied to every imported entity,
+   *    stopOnInvalidData: {boolean} [false] passed through to `applyTags`,
+   *    refang: {boolean} [true] if true, defanged entities are refanged before being uploaded
+   * }
+   * ```
+   * @returns {Promise<Object>} `{ entityCount, tagCount, refanged, result }` where `refanged` lists the entities that
+   * were refanged and `result` is the `applyTags` result
+   */
+  async importStix(bundle, channelId, { tagFrom, additionalTags, stopOnInvalidData = false, refang = true } = {}) {
+    const rows = stixBundleToRows(bundle, { tagFrom, additionalTags });
+    return this._importRows(rows, channelId, stopOnInvalidData, refang);
+  }
+
+  /**
+   * Imports the attributes of a MISP event export into a channel.  Supported attribute types (e.g., `ip-src`,
+   * `domain`, `md5`, `url`) are converted into entities, tagged based on `tagFrom`, and uploaded using `applyTags`.
+   *
+   * @param eventJson {Object|String} the MISP event as an object or JSON string
+   * @param channelId {number} the channel id to apply tags into
+   * @param options
+   * ```
+   * {
+   *    tagFrom: {Array} [['event.info', 'tags', 'category']] sources of tags,
+   *    idsOnly: {boolean} [false] if true, attributes with `to_ids` set to false are skipped,
+   *    additionalTags: {Array} [[]] tags applied to every imported entity,
+   *    stopOnInvalidData: {boolean} [false] passed through to `applyTags`,
+   *    refang: {boolean} [true] if true, defanged entities are refanged before being uploaded
+   * }
+   * ```
+   * @returns {Promise<Object>} `{ entityCount, tagCount, refanged, result }` where `refanged` lists the entities that
+   * were refanged and `result` is the `applyTags` result
+   */
+  async importMispEvent(
+    eventJson,
+    channelId,
+    { tagFrom, idsOnly, additionalTags, stopOnInvalidData = false, refang = true } = {}
+  ) {
+    const rows = mispEventToRows(eventJson, { tagFrom, idsOnly, additionalTags });
+    return this._importRows(rows, channelId, stopOnInvalidData, refang);
+  }
+
+  /**
+   * Makes the annotations in a channel match `rows`.  Tag entity pairs in `rows` that are not in the channel are
+   * applied and, if `deleteMissing` is true, annotations in the channel that are not in `rows` are deleted.
+   * Entities and tags are compared case-insensitively.  Rows with invalid entities or tags and annotations without
+   * a tag or entity are ignored.
+   *
+   * @param channelId {number} the channel to sync
+   * @param rows {Array} the desired channel content in the same format accepted by `applyTags`
+   * @param options
+   * ```
+   * {
+   *    deleteMissing: {boolean} [true] if true, annotations that are not in `rows` are deleted,
+   *    dryRun: {boolean} [false] if true, the channel is not modified and the returned plan describes what would
+   *      happen,
+   *    refang: {boolean} [true] if true, defanged entities in `rows` are refanged before being compared
+   * }
+   * ```
+   * @returns {Promise<Object>} An object of the format:
+   * ```
+   * {
+   *   summary: { added: 1, kept: 1, removed: 1 },
+   *   added: [{ entity, tag }],
+   *   kept: [{ annotationId, entity, tag }],
+   *   removed: [{ annotationId, entity, tag }],
+   *   refanged: [{ row, original, refanged }]
+   * }
+   * ```
+   */
+  async syncChannel(channelId, rows, { deleteMissing = true, dryRun = false, refang = true } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to sync a channel');
+    }
+
+    const refangResult = refang ? refangRows(rows) : { rows, rewritten: [] };
+    const desiredPairs = new Map();
+    refangResult.rows.forEach((row) => {
+      const entity = row[0].trim();
+      if (validateEntity(entity)) {
+        return;
+      }
+      row.slice(1).forEach((rawTag) => {
+        const tag = rawTag.trim();
+        if (!validateTag(tag)) {
+          desiredPairs.set(_getPairKey(entity, tag), { entity, tag });
+        }
+      });
+    });
+
+    const plan = { added: [], kept: [], removed: [], refanged: refangResult.rewritten };
+    const currentPairKeys = new Set();
+
+    for await (const annotation of this.iterateChannelAnnotations(channelId, { pageSize: EXPORT_PAGE_SIZE })) {
+      // Search results without a tag or entity cannot be compared so they are left alone
+      if (typeof annotation.entity !== 'string' || typeof annotation.tag !== 'string') {
+        this.logger.warn(`syncChannel(): Skipping annotation ${annotation.annotationId} without a tag or entity`);
+        continue;
+      }
+
+      const key = _getPairKey(annotation.entity, annotation.tag);
+      const pair = { annotationId: annotation.annotationId, entity: annotation.entity, tag: annotation.tag };
+      currentPairKeys.add(key);
+
+      if (desiredPairs.has(key)) {
+        plan.kept.push(pair);
+      } else if (deleteMissing) {
+        plan.removed.push(pair);
+      }
+    }
+
+    desiredPairs.forEach((pair, key) => {
+      if (!currentPairKeys.has(key)) {
+        plan.added.push(pair);
+      }
+    });
+
+    plan.summary = { added: plan.added.length, kept: plan.kept.length, removed: plan.removed.length };
+    this.logger.debug(`syncChannel(): Plan for channel ${channelId}`, plan.summary);
+
+    if (dryRun) {
+      return plan;
+    }
+
+    if (plan.added.length > 0) {
+      await this.applyTags(
+        plan.added.map((pair) => [pair.entity, pair.tag]),
+        channelId,
+        false,
+        { refang: false }
+      );
+    }
+
+    await async.eachLimit(plan.removed, 10, async (pair) => {
+      await this.deleteAnnotationById(pair.annotationId);
+    });
+
+    return plan;
+  }
+
   // /**
   //  *
   //  * @param entityValue {String} An entity value
@@ -1239,119 +2629,132 @@ class Polarity {
    * Get Tags for the given `entityValue` from the given `channels`
    * @param entityValue {String}
    * @param channels {Array} An array of numeric ids or an empty array if you want tags from all channels to be returned
-   * @param cb {Function} callback
-   * @return {Array} An array of tags
+   * @param cb {Function} optional callback.  If omitted a promise is returned.
+   * @return {Promise<Array>} An array of tags
    */
   getTagsByEntityValue(entityValue, channels, cb) {
-    let self = this;
+    const getTags = async () => {
+      if (this.isDisconnected()) {
+        throw new NotConnectedError('Polarity must be connected before trying to getTagsByEntityValue()');
+      }
 
-    if (this.isDisconnected()) {
-      return cb('Polarity must be connected before trying to getTagsByEntityValue()');
-    }
+      const entityId = await this.getEntityId(entityValue, channels);
+      return await this.getTagsByEntityId(entityId);
+    };
 
-    async.waterfall(
-      [
-        function getEntityId(next) {
-          self.getEntityId(entityValue, channels, next);
-        },
-        function getTags(entityId, next) {
-          self.getTagsByEntityId(entityId, next);
-        }
-      ],
-      cb
-    );
+    return _callbackify(getTags(), cb);
   }
 
+  /**
+   * Get the names of the tags applied to the given entity
+   * @param entityId {String} the entity id or `null`
+   * @param cb {Function} optional callback.  If omitted a promise is returned.
+   * @return {Promise<Array>} An array of tags (empty if `entityId` is `null`)
+   */
   getTagsByEntityId(entityId, cb) {
-    if (this.isDisconnected()) {
-      return cb('Polarity must be connected before trying to getTags()');
-    }
-
-    let tags = [];
-
-    if (entityId === null) {
-      return cb(null, []);
-    }
-
-    let requestOptions = {
-      uri: this.host + '/v2/entities/' + entityId,
-      method: 'GET',
-      json: true,
-      jar: this.cookieJar
-    };
-
-    this.postmanRequest(requestOptions, function(err, response, body) {
-      if (err) {
-        return cb({
-          detail: 'HTTP Request Error while attempting to retrieve tags from Polarity',
-          err: err
-        });
+    const getTags = async () => {
+      if (entityId === null) {
+        return [];
       }
 
-      if (response.statusCode !== 200) {
-        return cb({
-          detail: 'Error while trying to retrieve tags',
-          statusCode: response.statusCode,
-          body: body
-        });
-      }
-
-      body.included.forEach((item) => {
-        if (item.type === 'tags') {
-          tags.push(item.attributes['tag-name']);
-        }
-      });
+      const body = await this._getEntity(entityId);
+      return (body.included || []).filter((item) => item.type === 'tags').map((item) => item.attributes['tag-name']);
+    };
 
-      cb(err, tags);
-    });
+    return _callbackify(getTags(), cb);
   }
 
   /**
+   * Returns the id of the entity with the given value (case-insensitive) or `null` if the entity does not exist
+   * in the given `channels`.
    *
-   * @param entityValue
-   * @param channels
-   * @param cb
-   * @returns {*}
+   * @param entityValue {String}
+   * @param channels {Array} An array of numeric ids or an empty array to search all channels
+   * @param cb {Function} optional callback.  If omitted a promise is returned.
+   * @returns {Promise<String|null>}
    */
   getEntityId(entityValue, channels, cb) {
-    if (this.isDisconnected()) {
-      return cb('Polarity must be connected before trying to getEntityId()');
-    }
-
-    let requestOptions = {
-      uri: this.host + '/v2/searchable-items',
-      method: 'GET',
-      qs: {
+    const getId = async () => {
+      const options = {
         'filter[entity.entity-name-lower]': entityValue.toLowerCase(),
         'option[searchEntities]': true,
         'option[searchTags]': false,
         'option[searchComments]': false
-      },
-      json: true,
-      jar: this.cookieJar
+      };
+
+      if (channels.length > 0) {
+        options['filter[tag-entity-pair.channel-id]'] = channels.join(',');
+      }
+
+      const body = await this.search(options);
+      const match = body.data.find((item) => {
+        return item.attributes['searchable-item-name'].toLowerCase() === entityValue.toLowerCase();
+      });
+
+      return match ? match.attributes['entity-id'] : null;
     };
 
-    if (channels.length > 0) {
-      requestOptions.qs['filter[tag-entity-pair.channel-id'] = channels.join(',');
+    return _callbackify(getId(), cb);
+  }
+
+  /**
+   * Returns the tags applied to the given entity along with the channel each tag was applied in
+   *
+   * @param entityId {String}
+   * @param channels {Array} [[]] An array of numeric channel ids or an empty array to return tags from all channels
+   * @returns {Promise<Array>} An array of `{ annotationId, tag, channelId }` objects
+   */
+  async getEntityTags(entityId, channels = []) {
+    const body = await this._getEntity(entityId);
+    const included = body.included || [];
+    const channelIds = channels.map(String);
+
+    const tagNamesById = included
+      .filter((item) => item.type === 'tags')
+      .reduce((accum, tag) => {
+        accum[tag.id] = tag.attributes['tag-name'];
+        return accum;
+      }, {});
+
+    return included
+      .filter((item) => item.type === 'tag-entity-pairs')
+      .map((pair) => ({
+        annotationId: pair.id,
+        tag: tagNamesById[pair.relationships.tag.data.id],
+        channelId: pair.attributes['channel-id']
+      }))
+      .filter((pair) => channelIds.length === 0 || channelIds.includes(String(pair.channelId)));
+  }
+
+  /**
+   * Looks up the tags for many entity values.  Lookups are run in parallel with at most `concurrency` entities
+   * being looked up at a time.
+   *
+   * @param entityValues {Array} An array of entity values
+   * @param channels {Array} [[]] An array of numeric channel ids or an empty array to return tags from all channels
+   * @param concurrency {number} [5] maximum number of entities to look up at once
+   * @returns {Promise<Object>} An object keyed on entity value where each value is an array of
+   * `{ annotationId, tag, channelId }` objects.  Entities that do not exist have an empty array.
+   */
+  async getTagsForEntities(entityValues, channels = [], { concurrency = 5 } = {}) {
+    if (this.isDisconnected()) {
+      throw new NotConnectedError('Polarity must be connected before trying to getTagsForEntities()');
     }
 
-    this.postmanRequest(requestOptions, function(err, response, body) {
-      let match = body.data.find((item) => {
-        return item.attributes['searchable-item-name'].toLowerCase() === entityValue;
-      });
+    const tagsByEntity = {};
 
-      if (match) {
-        cb(err, match.attributes['entity-id']);
-      } else {
-        cb(err, null);
-      }
+    await async.eachLimit(entityValues, concurrency, async (entityValue) => {
+      const entityId = await this.getEntityId(entityValue, channels);
+      tagsByEntity[entityValue] = entityId === null ? [] : await this.getEntityTags(entityId, channels);
     });
+
+    return tagsByEntity;
   }
 
   deleteAnnotationById(annotationId) {
     return new Promise((resolve, reject) => {
       if (this.isDisconnected()) {
-        return reject({ detail: 'Polarity must be connected before trying to delete an annotation' });
+        return reject(new NotConnectedError('Polarity must be connected before trying to delete an annotation'));
       }
 
       const requestOptions = {
@@ -1374,21 +2777,14 @@ class Polarity {
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 200) {
           resolve(body);
         } else {
           this.logger.error('Error deleting annotation', { body });
-          reject({
-            detail: 'Failed to delete annotation',
-            status: response.statusCode,
-            body: body
-          });
+          reject(createHttpError('Failed to delete annotation', requestOptions, response, body));
         }
       });
     });
@@ -1423,17 +2819,320 @@ class Polarity {
       }
     }
 
-    defaults.jar = request.jar();
+    if (this._isTokenAuth(connectOptions)) {
+      defaults.headers = { Authorization: `Bearer ${connectOptions.token}` };
+    } else {
+      defaults.jar = request.jar();
+    }
+
     defaults.json = true;
 
-    return request.defaults(defaults);
+    const retryOptions = typeof connectOptions !== 'undefined' ? connectOptions.retry : undefined;
+
+    return this._withReauthentication(withRetry(request.defaults(defaults), retryOptions, this.logger));
+  }
+
+  /**
+   * Wraps the request function so that a 401 response received while connected (i.e., the session cookie
+   * has expired) re-authenticates with the stored credentials and replays the original request once.
+   * Requests can opt out by setting `reauthenticate: false` on the request options.
+   *
+   * @param requestFn
+   * @returns {Function}
+   * @private
+   */
+  _withReauthentication(requestFn) {
+    return (requestOptions, cb) => {
+      const { reauthenticate, ...options } = requestOptions;
+
+      requestFn(options, (err, response, body) => {
+        if (
+          err ||
+          response.statusCode !== 401 ||
+          reauthenticate === false ||
+          this.isDisconnected() ||
+          this._isTokenAuth(this._connectOptions)
+        ) {
+          return cb(err, response, body);
+        }
+
+        this.logger.info('Polarity session expired, re-authenticating', { uri: options.uri });
+
+        this._reauthenticate().then(
+          () => {
+            this.logger.info('Re-authenticated to Polarity, replaying request', { uri: options.uri });
+            this.emit('reauthenticated', { uri: options.uri, method: options.method });
+            requestFn(options, cb);
+          },
+          (authErr) => {
+            this.logger.error('Failed to re-authenticate to Polarity', { authErr });
+            this.isConnected = false;
+            cb(err, response, body);
+          }
+        );
+      });
+    };
+  }
+
+  async _findChannelPermission(channelId, relationship) {
+    const permissions = await this.getChannelPermissions(channelId);
+    return permissions.data.find((permission) => {
+      const related = permission.relationships && permission.relationships[relationship.name];
+      return related && related.data && String(related.data.id) === relationship.id;
+    });
   }
 
-  _createTagEntityPair(entity, tag, channels) {
+  async _sendChannelPermission(channelId, method, path, data) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to change channel permissions'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/channels/${channelId}/permissions${path}`,
+        method
+      };
+
+      if (data) {
+        requestOptions.body = { data };
+      }
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error changing permissions for channel ${channelId}`, { body });
+          reject(
+            createHttpError(`Failed to change permissions for channel "${channelId}"`, requestOptions, response, body)
+          );
+        }
+      });
+    });
+  }
+
+  async _getEntity(entityId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to get an entity'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/entities/${entityId}`,
+        method: 'GET'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error retrieving entity ${entityId}`, { body });
+          reject(createHttpError('Error while trying to retrieve tags', requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  async _createIntegrationPermission(integrationId, groupId, permissions) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to grant integration access'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/integrations/${integrationId}/permissions`,
+        method: 'POST',
+        body: {
+          data: {
+            type: 'permissions',
+            attributes: permissions,
+            relationships: {
+              group: { data: { type: 'groups', id: groupId } }
+            }
+          }
+        }
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 201) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error granting group ${groupId} access to integration ${integrationId}`, { body });
+          reject(
+            createHttpError(
+              `Failed to grant group "${groupId}" access to integration "${integrationId}"`,
+              requestOptions,
+              response,
+              body
+            )
+          );
+        }
+      });
+    });
+  }
+
+  async _updateIntegrationPermission(integrationId, permissionId, permissions) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to update integration access'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/integrations/${integrationId}/permissions/${permissionId}`,
+        method: 'PATCH',
+        retry: true,
+        body: {
+          data: {
+            type: 'permissions',
+            id: permissionId,
+            attributes: permissions
+          }
+        }
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error updating permission ${permissionId} for integration ${integrationId}`, { body });
+          reject(
+            createHttpError(
+              `Failed to update permission "${permissionId}" for integration "${integrationId}"`,
+              requestOptions,
+              response,
+              body
+            )
+          );
+        }
+      });
+    });
+  }
+
+  async _deleteIntegrationPermission(integrationId, permissionId) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to revoke integration access'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/integrations/${integrationId}/permissions/${permissionId}`,
+        method: 'DELETE'
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 204) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error deleting permission ${permissionId} for integration ${integrationId}`, { body });
+          reject(
+            createHttpError(
+              `Failed to delete permission "${permissionId}" for integration "${integrationId}"`,
+              requestOptions,
+              response,
+              body
+            )
+          );
+        }
+      });
+    });
+  }
+
+  async _updateGroupMembers(groupId, userIds, method) {
+    return new Promise((resolve, reject) => {
+      if (this.isDisconnected()) {
+        return reject(new NotConnectedError('Polarity must be connected before trying to change group members'));
+      }
+
+      const requestOptions = {
+        uri: `${this.host}/v2/groups/${groupId}/members`,
+        method,
+        // adding or removing the same members twice has no additional effect
+        retry: true,
+        body: {
+          data: userIds.map((userId) => ({ type: 'users', id: userId }))
+        }
+      };
+
+      this.postmanRequest(requestOptions, (err, response, body) => {
+        if (err) {
+          this.logger.error(err);
+          return reject(createRequestError(err, requestOptions));
+        }
+
+        if (response.statusCode === 200 || response.statusCode === 204) {
+          resolve(body);
+        } else {
+          this.logger.error(`Error Updating Members for Group ${groupId}`, { body });
+          reject(createHttpError(`Failed to update members for group "${groupId}"`, requestOptions, response, body));
+        }
+      });
+    });
+  }
+
+  /**
+   * Yields each resource from a paged JSON:API endpoint until there are no more pages
+   *
+   * @param fetchPage {Function} called with a 1 based page number, returns a promise resolving to the page body
+   * @returns {AsyncGenerator}
+   * @private
+   */
+  async *_iteratePages(fetchPage) {
+    let pageNumber = 1;
+    while (true) {
+      const body = await fetchPage(pageNumber);
+      for (const resource of body.data) {
+        yield resource;
+      }
+
+      if (!hasNextPage(body, pageNumber)) {
+        return;
+      }
+      pageNumber++;
+    }
+  }
+
+  async _importRows(rows, channelId, stopOnInvalidData, refang) {
+    const tagCount = rows.reduce((count, row) => count + row.length - 1, 0);
+    this.logger.debug(`Importing ${tagCount} tags for ${rows.length} entities into channel ${channelId}`);
+
+    const refangResult = refang ? refangRows(rows) : { rows, rewritten: [] };
+    const result =
+      rows.length > 0
+        ? await this.applyTags(refangResult.rows, channelId, stopOnInvalidData, { refang: false })
+        : undefined;
+
+    return { entityCount: rows.length, tagCount, refanged: refangResult.rewritten, result };
+  }
+
+  _createTagEntityPair(entity, tag, channels, type = getEntityType(entity)) {
     let tagEntityPair = {
       type: 'tag-entity-pairs',
       attributes: {
-        type: isIP4r(entity) ? 'ip' : 'string',
+        type,
         entity,
         tag,
         //confidence: get(this, 'selectedConfidence.value'),
@@ -1448,32 +3147,114 @@ class Polarity {
       let requestOptions = {
         uri: `${this.host}/v2/tag-entity-pairs`,
         method: 'POST',
+        // re-applying an existing tag entity pair is a no-op on the server so uploads are safe to retry
+        retry: true,
         body: { data: tagEntityPairs }
       };
 
       this.postmanRequest(requestOptions, (err, response, body) => {
         if (err) {
           this.logger.error(err);
-          return reject({
-            detail: 'HTTP Request Error',
-            err: err
-          });
+          return reject(createRequestError(err, requestOptions));
         }
 
         if (response.statusCode === 201) {
           resolve(body);
         } else {
           this.logger.error('Error Applying Tags', { body, tagEntityPairs });
-          reject({
-            detail: 'Could not apply tags',
-            status: response.statusCode,
-            body: body,
-            tagEntityPairs
-          });
+          reject(createHttpError('Could not apply tags', requestOptions, response, body, { tagEntityPairs }));
         }
       });
     });
   }
 }
 
+function _getPermissionGroupId(permission) {
+  return String(permission.relationships.group.data.id);
+}
+
+/**
+ * Returns `promise` if no callback is provided, otherwise calls `cb` with the result of `promise`
+ */
+function _callbackify(promise, cb) {
+  if (typeof cb !== 'function') {
+    return promise;
+  }
+
+  promise.then(
+    (result) => cb(null, result),
+    (err) => cb(err)
+  );
+}
+
+/**
+ * Removes duplicate parsed entities (i.e., entities with the same type and case-insensitive value).  The first
+ * occurrence of each entity is kept.
+ */
+function _uniqueEntities(entities) {
+  const entitiesByKey = new Map();
+  entities.forEach((entity) => {
+    const key = _getEntityKey(entity);
+    if (!entitiesByKey.has(key)) {
+      entitiesByKey.set(key, entity);
+    }
+  });
+  return [...entitiesByKey.values()];
+}
+
+function _getEntityKey(entity) {
+  return JSON.stringify([entity.type, String(entity.value).toLowerCase()]);
+}
+
+function _getPairKey(entity, tag) {
+  return JSON.stringify([entity.toLowerCase(), tag.toLowerCase()]);
+}
+
+function _getChannelPermissionRelationship(principal = {}) {
+  if (typeof principal.groupId !== 'undefined') {
+    return { name: 'group', type: 'groups', id: String(principal.groupId) };
+  }
+
+  if (typeof principal.userId !== 'undefined') {
+    return { name: 'user', type: 'users', id: String(principal.userId) };
+  }
+
+  throw new ValidationError('A channel permission must be for either a `groupId` or a `userId`');
+}
+
+function _uniqueIds(ids) {
+  return [...new Set(ids.map(String))];
+}
+
+/**
+ * Returns true if any of the `expected` attributes have a different value in `attributes`
+ */
+function _hasDifferentAttributes(attributes = {}, expected) {
+  return Object.keys(expected).some((key) => attributes[key] !== expected[key]);
+}
+
 module.exports = Polarity;
+module.exports.loadUsersCsv = loadUsersCsv;
+module.exports.parseUsersCsv = parseUsersCsv;
+module.exports.parseChannelExport = parseChannelExport;
+module.exports.stixBundleToRows = stixBundleToRows;
+module.exports.mispEventToRows = mispEventToRows;
+module.exports.refangRows = refangRows;
+module.exports.compareServers = compareServers;
+module.exports.formatServerComparison = formatServerComparison;
+module.exports.loadConfigDocument = loadConfigDocument;
+module.exports.planConfig = planConfig;
+module.exports.applyConfig = applyConfig;
+module.exports.formatConfigPlan = formatConfigPlan;
+module.exports.IntegrationMonitor = IntegrationMonitor;
+module.exports.normalizeSearchResults = normalizeSearchResults;
+module.exports.formatLookupReport = formatLookupReport;
+module.exports.LookupCache = LookupCache;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.FileCacheStore = FileCacheStore;
+module.exports.PolarityError = PolarityError;
+module.exports.NotConnectedError = NotConnectedError;
+module.exports.HttpError = HttpError;
+module.exports.AuthenticationError = AuthenticationError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ValidationError = ValidationError;
@@ -0,0 +1,102 @@
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  retryOnStatus: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Wraps a `postman-request` function so that transient failures (network errors and the status codes listed
+ * in `retryOnStatus`) are retried using exponential backoff with full jitter.  A `Retry-After` header on the
+ * response takes precedence over the computed backoff (capped at `maxDelay`).
+ *
+ * Only idempotent HTTP methods are retried.  Non-idempotent requests can opt in by setting `retry: true`
+ * on the request options.  Setting `retry: false` disables retries for a single request.
+ *
+ * @param requestFn {Function} postman-request function (or a function with the same signature)
+ * @param retryOptions {Object|Boolean} retry policy overrides or `false` to disable retries
+ * @param logger
+ * @returns {Function} A function with the same `(requestOptions, callback)` signature as `requestFn`
+ */
+function withRetry(requestFn, retryOptions, logger) {
+  const policy =
+    retryOptions === false
+      ? { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 }
+      : { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+
+  return (requestOptions, cb) => {
+    const { retry, ...options } = requestOptions;
+    const method = (options.method || 'GET').toUpperCase();
+    const canRetry = retry === true || (retry !== false && IDEMPOTENT_METHODS.includes(method));
+    const maxAttempts = canRetry ? policy.maxAttempts : 1;
+
+    const attempt = (attemptNumber) => {
+      requestFn(options, (err, response, body) => {
+        if (attemptNumber >= maxAttempts || !_isRetryable(err, response, policy)) {
+          return cb(err, response, body);
+        }
+
+        const delay = _getRetryDelay(attemptNumber, response, policy);
+        logger.warn(
+          `Retrying ${method} ${options.uri} in ${delay}ms (attempt ${attemptNumber + 1} of ${maxAttempts})`,
+          {
+            status: response ? response.statusCode : undefined,
+            code: err ? err.code : undefined
+          }
+        );
+
+        setTimeout(() => attempt(attemptNumber + 1), delay);
+      });
+    };
+
+    attempt(1);
+  };
+}
+
+function _isRetryable(err, response, policy) {
+  if (err) {
+    return RETRYABLE_ERROR_CODES.includes(err.code);
+  }
+
+  return policy.retryOnStatus.includes(response.statusCode);
+}
+
+function _getRetryDelay(attemptNumber, response, policy) {
+  const retryAfter = response ? _parseRetryAfter(response.headers && response.headers['retry-after']) : undefined;
+  if (typeof retryAfter === 'number') {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attemptNumber - 1));
+  return Math.floor(Math.random() * backoff);
+}
+
+/**
+ * Converts a `Retry-After` header (either delay-seconds or an HTTP date) into milliseconds
+ *
+ * @param value
+ * @returns {number|undefined}
+ * @private
+ */
+function _parseRetryAfter(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = {
+  withRetry,
+  DEFAULT_RETRY_OPTIONS
+};
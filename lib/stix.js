@@ -0,0 +1,160 @@
+const { ValidationError } = require('./error');
+const { addEntityTags, toTagRows } = require('./helpers');
+
+// STIX Cyber-observable Object types whose `value` property is imported as an entity
+const VALUE_OBSERVABLE_TYPES = ['ipv4-addr', 'ipv6-addr', 'domain-name', 'url', 'email-addr', 'mac-addr'];
+
+// Matches a single `<object-type>:<object-path> = '<value>'` comparison expression within a STIX pattern
+const COMPARISON_REGEX = /([a-z0-9-]+):([a-zA-Z0-9_.'-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/g;
+
+const DEFAULT_TAG_FROM = ['labels', 'name', 'killChainPhases'];
+
+/**
+ * Converts a STIX 2.1 bundle into the two dimensional array format accepted by `applyTags`.
+ *
+ * Entities are extracted from the `=` comparisons in STIX indicator patterns (indicators with another
+ * `pattern_type`, such as `snort` or `yara`, are skipped) and from cyber-observable objects (IP addresses, domains,
+ * URLs, email addresses, MAC addresses and file hashes).  Indicator entities are tagged with the indicator's labels,
+ * indicator types, name and kill chain phases (see `tagFrom`).  Observables are tagged with their own labels and the
+ * tags of the indicators related to them, either directly through a `relationship` or through the `observed-data`
+ * that references them.  Indicators and observables without any of these tags are tagged with their object type
+ * (e.g., `indicator` or `ipv4-addr`).  `additionalTags` are applied to every entity.
+ *
+ * @param bundle {Object|String} the STIX bundle as an object or JSON string
+ * @param tagFrom {Array} [['labels', 'name', 'killChainPhases']] indicator properties to create tags from
+ * @param additionalTags {Array} [[]] tags applied to every imported entity
+ * @returns {Array}
+ */
+function stixBundleToRows(bundle, { tagFrom = DEFAULT_TAG_FROM, additionalTags = [] } = {}) {
+  const parsedBundle = typeof bundle === 'string' ? JSON.parse(bundle) : bundle;
+
+  if (!parsedBundle || parsedBundle.type !== 'bundle' || !Array.isArray(parsedBundle.objects)) {
+    throw new ValidationError('STIX input must be a bundle with an `objects` array');
+  }
+
+  const relatedTagsById = _getRelatedIndicatorTags(parsedBundle.objects, tagFrom);
+  const tagsByEntity = new Map();
+
+  parsedBundle.objects.forEach((object) => {
+    let values;
+    let tags;
+
+    if (object.type === 'indicator') {
+      // Only STIX patterns can be parsed; `pattern_type` defaults to `stix` if it is missing
+      const isStixPattern = typeof object.pattern_type === 'undefined' || object.pattern_type === 'stix';
+      values = isStixPattern ? getPatternValues(object.pattern || '') : [];
+      tags = _getIndicatorTags(object, tagFrom);
+    } else {
+      values = _getObservableValues(object);
+      tags = [...(object.labels || []), ...(relatedTagsById.get(object.id) || [])];
+    }
+
+    if (values.length === 0) {
+      return;
+    }
+
+    if (tags.length === 0) {
+      tags.push(object.type);
+    }
+    tags.push(...additionalTags);
+    values.forEach((value) => addEntityTags(tagsByEntity, value, tags));
+  });
+
+  return toTagRows(tagsByEntity);
+}
+
+/**
+ * Returns the observable values compared with `=` in a STIX pattern.  Only comparisons against the object
+ * types supported by `stixBundleToRows` are returned.
+ *
+ * ```
+ * getPatternValues("[ipv4-addr:value = '1.2.3.4'] OR [file:hashes.'SHA-256' = 'abc...']")
+ * // ['1.2.3.4', 'abc...']
+ * ```
+ * @param pattern {String}
+ * @returns {Array}
+ */
+function getPatternValues(pattern) {
+  const values = [];
+  let match;
+
+  COMPARISON_REGEX.lastIndex = 0;
+  while ((match = COMPARISON_REGEX.exec(pattern)) !== null) {
+    const [, objectType, objectPath, rawValue] = match;
+    const isValue = VALUE_OBSERVABLE_TYPES.includes(objectType) && objectPath === 'value';
+    const isHash = objectType === 'file' && objectPath.startsWith('hashes.');
+
+    if (isValue || isHash) {
+      values.push(rawValue.replace(/\\(.)/g, '$1'));
+    }
+  }
+
+  return values;
+}
+
+function _getIndicatorTags(indicator, tagFrom) {
+  const tags = [];
+
+  if (tagFrom.includes('labels')) {
+    tags.push(...(indicator.labels || []), ...(indicator.indicator_types || []));
+  }
+
+  if (tagFrom.includes('name') && indicator.name) {
+    tags.push(indicator.name);
+  }
+
+  if (tagFrom.includes('killChainPhases')) {
+    (indicator.kill_chain_phases || []).forEach((phase) => tags.push(phase.phase_name));
+  }
+
+  return tags;
+}
+
+/**
+ * Returns a `Map` of object ids to the tags of the indicators related to the object.  Objects are related to an
+ * indicator by a `relationship` in either direction.  The objects referenced by a related `observed-data` (e.g.,
+ * through an indicator's `based-on` relationship) are also related to the indicator.
+ */
+function _getRelatedIndicatorTags(objects, tagFrom) {
+  const objectsById = new Map(objects.map((object) => [object.id, object]));
+  const relatedTagsById = new Map();
+  const addTags = (id, tags) => relatedTagsById.set(id, [...(relatedTagsById.get(id) || []), ...tags]);
+
+  objects
+    .filter((object) => object.type === 'relationship')
+    .forEach((relationship) => {
+      [
+        [relationship.source_ref, relationship.target_ref],
+        [relationship.target_ref, relationship.source_ref]
+      ].forEach(([indicatorId, relatedId]) => {
+        const indicator = objectsById.get(indicatorId);
+        if (!indicator || indicator.type !== 'indicator') {
+          return;
+        }
+
+        const tags = _getIndicatorTags(indicator, tagFrom);
+        const related = objectsById.get(relatedId);
+        const relatedIds = related && related.type === 'observed-data' ? related.object_refs || [] : [relatedId];
+        relatedIds.forEach((id) => addTags(id, tags));
+      });
+    });
+
+  return relatedTagsById;
+}
+
+function _getObservableValues(object) {
+  if (VALUE_OBSERVABLE_TYPES.includes(object.type) && typeof object.value === 'string') {
+    return [object.value];
+  }
+
+  if (object.type === 'file' && object.hashes) {
+    return Object.values(object.hashes);
+  }
+
+  return [];
+}
+
+module.exports = {
+  stixBundleToRows,
+  getPatternValues
+};
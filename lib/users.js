@@ -0,0 +1,50 @@
+const fs = require('fs');
+const inflected = require('inflected');
+const { parseCsv } = require('./csv');
+
+const BOOLEAN_ATTRIBUTES = ['isAdmin', 'isLocal', 'enabled', 'forcePasswordReset'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+/**
+ * Parses CSV text into an array of user attribute objects in the format accepted by `createUser` and
+ * `provisionUsers`.  The first row must be a header row.  Header names may be camelcase, dasherized or
+ * underscored (e.g., `fullName`, `full-name` or `full_name`).  Empty values are omitted so that defaults apply.
+ *
+ * ```
+ * username,email,full-name,password,is-admin
+ * jsmith,jsmith@example.com,John Smith,changeme,false
+ * ```
+ * @param text {String} CSV formatted text
+ * @returns {Array} An array of user attribute objects
+ */
+function parseUsersCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((column) => inflected.camelize(inflected.underscore(column.trim()), false));
+
+  return rows.map((row) =>
+    keys.reduce((attributes, key, index) => {
+      const value = typeof row[index] === 'string' ? row[index].trim() : '';
+      if (value.length === 0) {
+        return attributes;
+      }
+
+      attributes[key] = BOOLEAN_ATTRIBUTES.includes(key) ? TRUE_VALUES.includes(value.toLowerCase()) : value;
+      return attributes;
+    }, {})
+  );
+}
+
+/**
+ * Reads the CSV file at `filePath` and returns the parsed user attribute objects.  See `parseUsersCsv`.
+ *
+ * @param filePath
+ * @returns {Array} An array of user attribute objects
+ */
+function loadUsersCsv(filePath) {
+  return parseUsersCsv(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  parseUsersCsv,
+  loadUsersCsv
+};
@@ -28,6 +28,117 @@ function validateEntity(entity) {
   }
 }
 
+const MD5_REGEX = /^[a-f0-9]{32}$/i;
+const SHA1_REGEX = /^[a-f0-9]{40}$/i;
+const SHA256_REGEX = /^[a-f0-9]{64}$/i;
+const CVE_REGEX = /^CVE-\d{4}-\d{4,}$/i;
+const MAC_REGEX = /^[0-9a-f]{2}([:-])[0-9a-f]{2}(\1[0-9a-f]{2}){4}$/i;
+const EMAIL_REGEX = /^[^\s@]+@([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const URL_REGEX = /^(https?|ftp):\/\/[^\s/$.?#][^\s]*$/i;
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+// Dotted values that look like a file name (`invoice.pdf`) or a person's name (`John.Smith`) rather than a domain
+const FILE_EXTENSION_REGEX =
+  /\.(bat|bin|bmp|csv|dll|docx?|exe|gif|gz|html?|jpe?g|js|json|log|msi|pdf|png|pptx?|ps1|py|rar|rtf|sh|tar|tmp|txt|vbs|xlsx?|xml|zip|7z)$/i;
+const NAME_REGEX = /^[A-Z][a-z]+(\.[A-Z][a-z]+)+$/;
+
+/**
+ * Returns the entity type used when uploading the given entity value.  One of `ip`, `url`, `email`, `md5`,
+ * `sha1`, `sha256`, `cve`, `mac`, `domain` or `string` if the value does not match a more specific type.  Dotted
+ * values ending in a common file extension or made up of capitalized words (e.g. `John.Smith`) are not domains.
+ *
+ * @param value
+ * @returns {string}
+ */
+function getEntityType(value) {
+  if (isIP4r(value)) {
+    return 'ip';
+  }
+
+  if (URL_REGEX.test(value)) {
+    return 'url';
+  }
+
+  if (EMAIL_REGEX.test(value)) {
+    return 'email';
+  }
+
+  if (MD5_REGEX.test(value)) {
+    return 'md5';
+  }
+
+  if (SHA1_REGEX.test(value)) {
+    return 'sha1';
+  }
+
+  if (SHA256_REGEX.test(value)) {
+    return 'sha256';
+  }
+
+  if (CVE_REGEX.test(value)) {
+    return 'cve';
+  }
+
+  if (MAC_REGEX.test(value)) {
+    return 'mac';
+  }
+
+  if (DOMAIN_REGEX.test(value) && !FILE_EXTENSION_REGEX.test(value) && !NAME_REGEX.test(value)) {
+    return 'domain';
+  }
+
+  return 'string';
+}
+
+// Common defanging conventions and their refanged replacements.  Applied in order.  Defanged dots and `@` signs
+// are only replaced between alphanumeric characters (e.g., `user(at)host` but not `Meeting (at) noon`) so that
+// ordinary text is left unchanged.
+const REFANG_REPLACEMENTS = [
+  [/\bhxxp(s?)(?=[:[(])/gi, 'http$1'],
+  [/\bfxp(?=[:[(])/gi, 'ftp'],
+  [/[[({]:\/\/[\])}]/g, '://'],
+  [/[[({]:[\])}]/g, ':'],
+  [/[[({]\/[\])}]/g, '/'],
+  [/(?<=[a-z0-9])[[({](\.|dot)[\])}](?=[a-z0-9])/gi, '.'],
+  [/(?<=[a-z0-9])[[({](@|at)[\])}](?=[a-z0-9])/gi, '@'],
+  [/(?<=[a-z0-9])\\\.(?=[a-z0-9])/gi, '.']
+];
+
+/**
+ * Converts a defanged indicator back into its original value.  For example, `hxxp://evil[.]com`,
+ * `1.2.3[.]4` and `user[@]example.com` become `http://evil.com`, `1.2.3.4` and `user@example.com`.
+ * Values that are not defanged are returned unchanged.
+ *
+ * @param value
+ * @returns {string}
+ */
+function refangEntity(value) {
+  return REFANG_REPLACEMENTS.reduce((refanged, [regex, replacement]) => refanged.replace(regex, replacement), value);
+}
+
+/**
+ * Refangs the entity (first column) of each row in the two dimensional array format accepted by `applyTags`.
+ * The provided rows are not modified.
+ *
+ * @param rows
+ * @returns {{rows: Array, rewritten: Array}} the refanged rows and a report of the rows that were changed in
+ * the format `[{ row: <row index>, original: 'hxxp://evil[.]com', refanged: 'http://evil.com' }]`
+ */
+function refangRows(rows) {
+  const rewritten = [];
+  const refangedRows = rows.map((row, rowIndex) => {
+    const original = row[0];
+    const refanged = typeof original === 'string' ? refangEntity(original) : original;
+    if (refanged === original) {
+      return row;
+    }
+
+    rewritten.push({ row: rowIndex, original, refanged });
+    return [refanged, ...row.slice(1)];
+  });
+
+  return { rows: refangedRows, rewritten };
+}
+
 function _hasLeadingZero(value) {
   if (value.length > 1 && value[0] === '0') {
     return true;
@@ -350,6 +461,9 @@ function isIPv6(value) {
 
 module.exports = {
   isIP4r,
+  getEntityType,
+  refangEntity,
+  refangRows,
   validateEntity,
   validateTag
 };
@@ -0,0 +1,31 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  // Password option values are not written to the snapshot
+  await polarity.exportIntegrationConfig('all', { filePath: './integration-options.json' });
+
+  // Review the changes first, then run again with `dryRun: false` to restore the options
+  const result = await polarity.importIntegrationConfig('./integration-options.json', {
+    secrets: './integration-secrets.json',
+    dryRun: true
+  });
+
+  await polarity.disconnect();
+
+  return result;
+}
+
+start()
+  .then((result) => {
+    console.info(result.summary);
+  })
+  .catch((err) => {
+    console.error('Error backing up integration options', err);
+  });
@@ -0,0 +1,38 @@
+const Polarity = require('polarity-node-rest-api');
+
+async function start() {
+  const staging = new Polarity();
+  const production = new Polarity();
+
+  await staging.connect({
+    host: 'https://my-staging-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  await production.connect({
+    host: 'https://my-production-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  const report = await Polarity.compareServers(staging, production);
+
+  await staging.disconnect();
+  await production.disconnect();
+
+  return report;
+}
+
+start()
+  .then((report) => {
+    // Run with `--json` to print the full report instead of a diff
+    if (process.argv.includes('--json')) {
+      console.info(JSON.stringify(report, null, 2));
+    } else {
+      console.info(Polarity.formatServerComparison(report));
+    }
+  })
+  .catch((err) => {
+    console.error('Error comparing servers', err);
+  });
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  const bundle = JSON.parse(fs.readFileSync('./bundle.json', 'utf8'));
+
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  const channel = await polarity.getChannel('threat-intel');
+
+  // Tags each indicator's observables with its labels, name and kill chain phases plus the "stix-import" tag
+  const result = await polarity.importStix(bundle, channel.id, { additionalTags: ['stix-import'] });
+
+  await polarity.disconnect();
+
+  return result;
+}
+
+start()
+  .then(({ entityCount, tagCount }) => {
+    console.info(`Imported ${tagCount} tags for ${entityCount} entities`);
+  })
+  .catch((err) => {
+    console.error('Error importing STIX bundle', err);
+  });
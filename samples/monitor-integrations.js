@@ -0,0 +1,39 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  const monitor = polarity.monitorIntegrations({ interval: 60000, autoRestart: true, maxRestartsPerHour: 3 });
+
+  monitor.on('down', ({ integrationId, status }) => {
+    console.warn(`Integration ${integrationId} is ${status}`);
+  });
+
+  monitor.on('recovered', ({ integrationId }) => {
+    console.info(`Integration ${integrationId} recovered`);
+  });
+
+  monitor.on('circuit-open', ({ integrationId, restarts }) => {
+    console.error(`Integration ${integrationId} is still down after ${restarts} restarts in the last hour`);
+  });
+
+  // Stop monitoring and disconnect on Ctrl+C
+  process.on('SIGINT', async () => {
+    monitor.stop();
+    console.info(monitor.getSummary());
+    await polarity.disconnect();
+  });
+}
+
+start()
+  .then(() => {
+    console.info('Monitoring integrations');
+  })
+  .catch((err) => {
+    console.error('Error monitoring integrations', err);
+  });
@@ -0,0 +1,33 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  // CSV file with a header row, for example:
+  // username,email,full-name,password,is-admin
+  // jsmith,jsmith@example.com,John Smith,changeme,false
+  const rows = Polarity.loadUsersCsv('./users.csv');
+
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  // Set `dryRun` to false to create the accounts
+  const { summary, results } = await polarity.provisionUsers(rows, { dryRun: true, updateExisting: false });
+
+  await polarity.disconnect();
+
+  return { summary, results };
+}
+
+start()
+  .then(({ summary, results }) => {
+    results.forEach((result) => {
+      console.info(`${result.username}: ${result.outcome}${result.error ? ` (${result.error.message})` : ''}`);
+    });
+    console.info(summary);
+  })
+  .catch((err) => {
+    console.error('Error provisioning users', err);
+  });
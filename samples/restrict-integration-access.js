@@ -0,0 +1,27 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  const group = await polarity.getGroupByName('Tier 2 Analysts');
+
+  // Only members of the "Tier 2 Analysts" group will have access to the integration
+  const result = await polarity.setIntegrationAccess('virustotal', [group.id]);
+
+  await polarity.disconnect();
+
+  return result;
+}
+
+start()
+  .then((result) => {
+    console.info(result);
+  })
+  .catch((err) => {
+    console.error('Error setting integration access', err);
+  });
@@ -5,7 +5,7 @@ async function start() {
   // Array of integrationIds to search (use the helpers/getIntegrationId()) to convert a directory name
   // to an integration Id.
   const integrationsToSearch = ['virustotal', 'abuseipdb', 'arin'];
-  // Text to parse entities from and search (up to 5,000 characters)
+  // Text to parse entities from and search.  Text over 5,000 characters is parsed in chunks
   const textToSearch = '8.8.8.8 8.8.4.4 google.com';
   // Don't stop on errors and log them to result object instead
   const ignoreErrors = true;
@@ -0,0 +1,32 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  const channel = await polarity.getChannel('watchlist');
+
+  const desiredRows = [
+    ['8.8.8.8', 'google-dns'],
+    ['1.1.1.1', 'cloudflare-dns']
+  ];
+
+  // Review the plan first, then run again with `dryRun: false` to apply it
+  const plan = await polarity.syncChannel(channel.id, desiredRows, { deleteMissing: true, dryRun: true });
+
+  await polarity.disconnect();
+
+  return plan;
+}
+
+start()
+  .then((plan) => {
+    console.info(plan.summary);
+  })
+  .catch((err) => {
+    console.error('Error syncing channel', err);
+  });
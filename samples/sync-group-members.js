@@ -0,0 +1,31 @@
+const Polarity = require('polarity-node-rest-api');
+const polarity = new Polarity();
+
+async function start() {
+  await polarity.connect({
+    host: 'https://my-polarity-server',
+    username: 'username',
+    password: 'password'
+  });
+
+  let group = await polarity.getGroupByName('Tier 2 Analysts');
+  if (!group) {
+    const result = await polarity.createGroup('Tier 2 Analysts', 'Analysts with access to paid integrations');
+    group = result.data;
+  }
+
+  // Adds missing users and removes users that are not in the list
+  const result = await polarity.syncGroupMembers(group.id, ['jsmith', 'adoe', 'bwayne']);
+
+  await polarity.disconnect();
+
+  return result;
+}
+
+start()
+  .then((result) => {
+    console.info(result);
+  })
+  .catch((err) => {
+    console.error('Error syncing group members', err);
+  });
@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const { compareServers, formatServerComparison } = require('../lib/compare');
+
+/**
+ * Returns a stand-in for a connected Polarity instance.  `options` and `permissions` are keyed by integration id.
+ */
+function createClient(host, { integrationIds = [], options = {}, permissions = {}, groups = [] } = {}) {
+  return {
+    host,
+    getIntegrations: async () => ({ data: integrationIds.map((id) => ({ id })) }),
+    getAllGroups: async () => groups,
+    getIntegrationOptions: async (integrationId) => ({ data: options[integrationId] || [] }),
+    getPermissionsForIntegration: async (integrationId) => ({ data: permissions[integrationId] || [] })
+  };
+}
+
+function option(key, attributes) {
+  return { id: `virustotal-${key}`, attributes: { key, 'admin-only': false, 'user-can-edit': false, ...attributes } };
+}
+
+function permission(groupId, attributes) {
+  return { relationships: { group: { data: { id: groupId } } }, attributes };
+}
+
+describe('compare', () => {
+  const staging = createClient('https://staging', {
+    integrationIds: ['virustotal', 'aws_ec2'],
+    groups: [{ id: '1', attributes: { name: 'analysts' } }],
+    options: {
+      virustotal: [
+        option('url', { value: 'https://staging.example.com' }),
+        option('apiKey', { type: 'password', value: '' }),
+        option('debug', { value: true })
+      ]
+    },
+    permissions: { virustotal: [permission('1', { read: true, execute: true, label: 'ignored' })] }
+  });
+  const production = createClient('https://production', {
+    integrationIds: ['virustotal', 'shodan'],
+    // group ids differ between servers so groups are matched by name
+    groups: [{ id: '7', attributes: { name: 'analysts' } }],
+    options: {
+      virustotal: [
+        option('url', { value: 'https://production.example.com' }),
+        option('apiKey', { type: 'password', value: '', 'admin-only': true })
+      ]
+    },
+    permissions: { virustotal: [permission('7', { read: true, execute: false, label: 'other' })] }
+  });
+
+  describe('compareServers', () => {
+    it('reports integrations, options and permissions that differ', async () => {
+      const report = await compareServers(staging, production);
+
+      expect(report).to.deep.equal({
+        servers: { a: 'https://staging', b: 'https://production' },
+        identical: false,
+        integrations: { onlyInA: ['aws_ec2'], onlyInB: ['shodan'] },
+        options: [
+          {
+            integrationId: 'virustotal',
+            option: 'url',
+            changed: ['value'],
+            a: { value: 'https://staging.example.com', 'admin-only': false, 'user-can-edit': false },
+            b: { value: 'https://production.example.com', 'admin-only': false, 'user-can-edit': false }
+          },
+          {
+            integrationId: 'virustotal',
+            option: 'apiKey',
+            changed: ['admin-only'],
+            a: { 'admin-only': false, 'user-can-edit': false },
+            b: { 'admin-only': true, 'user-can-edit': false }
+          },
+          {
+            integrationId: 'virustotal',
+            option: 'debug',
+            changed: [],
+            a: { value: true, 'admin-only': false, 'user-can-edit': false },
+            b: null
+          }
+        ],
+        permissions: [
+          {
+            integrationId: 'virustotal',
+            group: 'analysts',
+            changed: ['execute'],
+            a: { read: true, execute: true },
+            b: { read: true, execute: false }
+          }
+        ]
+      });
+    });
+
+    it('only compares the given integrations', async () => {
+      const report = await compareServers(staging, staging, { integrationIds: ['aws_ec2'] });
+
+      expect(report).to.include({ identical: true });
+      expect(report.integrations).to.deep.equal({ onlyInA: [], onlyInB: [] });
+    });
+  });
+
+  describe('formatServerComparison', () => {
+    it('formats the report as a diff', async () => {
+      const report = await compareServers(staging, production);
+
+      expect(formatServerComparison(report).split('\n')).to.deep.equal([
+        '--- https://staging',
+        '+++ https://production',
+        '',
+        '- integration aws_ec2',
+        '+ integration shodan',
+        '',
+        '@@ integration virustotal @@',
+        '  option url',
+        '-   value: "https://staging.example.com"',
+        '+   value: "https://production.example.com"',
+        '  option apiKey',
+        '-   admin-only: false',
+        '+   admin-only: true',
+        '- option debug {"value":true,"admin-only":false,"user-can-edit":false}',
+        '  group "analysts"',
+        '-   execute: true',
+        '+   execute: false'
+      ]);
+    });
+
+    it('reports identical servers', async () => {
+      const report = await compareServers(staging, staging);
+
+      expect(formatServerComparison(report)).to.equal(
+        ['--- https://staging', '+++ https://staging', '', 'No differences found'].join('\n')
+      );
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { expect } = require('chai');
+const Polarity = require('../lib/polarity');
+const { planConfig, applyConfig, formatConfigPlan } = require('../lib/config-as-code');
+const { ValidationError } = require('../lib/error');
+
+/**
+ * Returns a stand-in for a connected Polarity instance with a single `aws_ec2` integration.  Calls that modify
+ * the server are recorded in `calls`.
+ */
+function createServer({ options = [], permissions = [], groups = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    logger: { debug: () => {} },
+    getIntegrationOptions: async () => ({ data: options }),
+    updateIntegrationOption: async (...args) => calls.push(['updateIntegrationOption', ...args]),
+    getGroupByName: async (name) => groups.find((group) => group.attributes.name === name),
+    getAllGroups: async () => groups,
+    getPermissionsForIntegration: async () => ({ data: permissions }),
+    setIntegrationAccess: Polarity.prototype.setIntegrationAccess,
+    _createIntegrationPermission: async (...args) => calls.push(['createPermission', ...args]),
+    _updateIntegrationPermission: async (...args) => calls.push(['updatePermission', ...args]),
+    _deleteIntegrationPermission: async (...args) => calls.push(['deletePermission', ...args])
+  };
+}
+
+const secretOption = {
+  id: 'aws_ec2-secretAccessKey',
+  attributes: { key: 'secretAccessKey', type: 'password', value: '', 'admin-only': true, 'user-can-edit': false }
+};
+
+describe('config-as-code', () => {
+  describe('password options', () => {
+    it('does not report unchanged flags of a password option as a change', async () => {
+      const server = createServer({ options: [secretOption] });
+      const document = {
+        integrations: {
+          aws_ec2: { options: { secretAccessKey: { value: 'secret', 'admin-only': true, 'user-can-edit': false } } }
+        }
+      };
+
+      const plan = await planConfig(server, document);
+
+      expect(plan.changes).to.deep.equal([]);
+      expect(formatConfigPlan(plan)).to.equal('No changes.  The server matches the configuration document.');
+    });
+
+    it('writes the value of a password option when its flags change', async () => {
+      const server = createServer({ options: [secretOption] });
+      const document = {
+        integrations: { aws_ec2: { options: { secretAccessKey: { value: 'secret', 'admin-only': false } } } }
+      };
+
+      const plan = await applyConfig(server, document);
+
+      expect(plan.changes).to.deep.equal([
+        {
+          resource: 'integration-option',
+          action: 'update',
+          id: 'aws_ec2.secretAccessKey',
+          changes: { 'admin-only': { from: true, to: false } }
+        }
+      ]);
+      expect(server.calls).to.deep.equal([
+        [
+          'updateIntegrationOption',
+          'aws_ec2',
+          'secretAccessKey',
+          { value: 'secret', 'admin-only': false, 'user-can-edit': false }
+        ]
+      ]);
+    });
+
+    it('writes the value of a password option when secrets are rotated', async () => {
+      const server = createServer({ options: [secretOption] });
+      const document = { integrations: { aws_ec2: { options: { secretAccessKey: { value: 'new-secret' } } } } };
+
+      const plan = await planConfig(server, document, { rotateSecrets: true });
+      await applyConfig(server, document, { plan, rotateSecrets: true });
+
+      expect(plan.changes).to.deep.equal([
+        {
+          resource: 'integration-option',
+          action: 'update',
+          id: 'aws_ec2.secretAccessKey',
+          changes: { value: { from: '(sensitive)', to: '(sensitive)' } }
+        }
+      ]);
+      expect(server.calls).to.deep.equal([
+        [
+          'updateIntegrationOption',
+          'aws_ec2',
+          'secretAccessKey',
+          { value: 'new-secret', 'admin-only': true, 'user-can-edit': false }
+        ]
+      ]);
+    });
+
+    it('requires a value when the flags of a password option change', async () => {
+      const server = createServer({ options: [secretOption] });
+      const document = { integrations: { aws_ec2: { options: { secretAccessKey: { 'admin-only': false } } } } };
+
+      let error;
+      try {
+        await planConfig(server, document);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(ValidationError);
+    });
+  });
+
+  describe('integration access', () => {
+    const groups = [
+      { id: '1', attributes: { name: 'analysts' } },
+      { id: '2', attributes: { name: 'admins' } }
+    ];
+    const permissions = [{ id: 'p2', attributes: {}, relationships: { group: { data: { id: '2' } } } }];
+    const options = [{ id: 'aws_ec2-region', attributes: { key: 'region', value: 'us-east-1' } }];
+
+    it('grants access to listed groups without revoking other groups', async () => {
+      const server = createServer({ options, permissions, groups });
+      const document = { integrations: { aws_ec2: { access: { groups: ['analysts'] } } } };
+
+      const plan = await applyConfig(server, document);
+
+      expect(plan.changes[0].changes).to.deep.equal({ grant: ['analysts'], revoke: [], update: [] });
+      expect(server.calls).to.deep.equal([['createPermission', 'aws_ec2', '1', {}]]);
+    });
+
+    it('revokes access from unlisted groups when access is exclusive', async () => {
+      const server = createServer({ options, permissions, groups });
+      const document = { integrations: { aws_ec2: { access: { groups: ['analysts'], exclusive: true } } } };
+
+      const plan = await applyConfig(server, document);
+
+      expect(plan.changes[0].changes).to.deep.equal({ grant: ['analysts'], revoke: ['admins'], update: [] });
+      expect(server.calls).to.deep.equal([
+        ['deletePermission', 'aws_ec2', 'p2'],
+        ['createPermission', 'aws_ec2', '1', {}]
+      ]);
+    });
+  });
+
+  describe('applyConfig', () => {
+    const options = [{ id: 'aws_ec2-region', attributes: { key: 'region', value: 'us-east-1' } }];
+    const document = { integrations: { aws_ec2: { options: { region: 'us-west-2' } } } };
+
+    it('applies a reviewed plan that still matches the server', async () => {
+      const server = createServer({ options });
+      const plan = await planConfig(server, document);
+
+      await applyConfig(server, document, { plan });
+
+      expect(server.calls).to.have.length(1);
+    });
+
+    it('refuses to apply a reviewed plan that no longer matches the server', async () => {
+      const server = createServer({ options });
+      const plan = await planConfig(server, document);
+      options[0].attributes.value = 'eu-west-1';
+
+      let error;
+      try {
+        await applyConfig(server, document, { plan });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(server.calls).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { expect } = require('chai');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('parses rows and skips blank lines', () => {
+      expect(parseCsv('a,b\n\nc,d\r\n')).to.deep.equal([
+        ['a', 'b'],
+        ['c', 'd']
+      ]);
+    });
+
+    it('parses quoted fields with commas, newlines and escaped quotes', () => {
+      expect(parseCsv('"a,b","line1\nline2","say ""hi"""')).to.deep.equal([['a,b', 'line1\nline2', 'say "hi"']]);
+    });
+
+    it('keeps empty fields', () => {
+      expect(parseCsv('a,,c')).to.deep.equal([['a', '', 'c']]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('quotes values containing commas, quotes or newlines', () => {
+      expect(toCsv([['plain', 'a,b', 'say "hi"', 'two\nlines']])).to.equal('plain,"a,b","say ""hi""","two\nlines"');
+    });
+
+    it('writes null and undefined as empty values', () => {
+      expect(toCsv([[null, undefined, 0]])).to.equal(',,0');
+    });
+
+    it('round trips through parseCsv', () => {
+      const rows = [
+        ['entity', 'tag'],
+        ['8.8.8.8', 'dns, "public"'],
+        ['evil.com', 'multi\nline']
+      ];
+      expect(parseCsv(toCsv(rows))).to.deep.equal(rows);
+    });
+  });
+});
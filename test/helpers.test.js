@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const { chunkText, hasNextPage, collect, toTagRows, addEntityTags } = require('../lib/helpers');
+
+describe('helpers', () => {
+  describe('chunkText', () => {
+    it('returns short text as a single chunk', () => {
+      expect(chunkText('8.8.8.8 evil.com', 5000)).to.deep.equal(['8.8.8.8 evil.com']);
+    });
+
+    it('prefers splitting on line breaks', () => {
+      expect(chunkText('aaa bbb\nccc ddd eee\nfff', 8)).to.deep.equal(['aaa bbb', 'ccc ddd', 'eee\nfff']);
+    });
+
+    it('falls back to splitting on whitespace', () => {
+      expect(chunkText('aaaa bbbb cccc', 10)).to.deep.equal(['aaaa bbbb', 'cccc']);
+    });
+
+    it('splits runs without whitespace at maxLength', () => {
+      expect(chunkText('abcdefghijkl mn', 5)).to.deep.equal(['abcde', 'fghij', 'kl mn']);
+    });
+
+    it('never returns chunks longer than maxLength and does not lose tokens', () => {
+      const text = Array.from({ length: 3000 }, (value, index) => `10.0.${index % 256}.${index % 7}`).join(' ');
+      const chunks = chunkText(text, 5000);
+
+      expect(chunks.length).to.be.greaterThan(1);
+      chunks.forEach((chunk) => expect(chunk.length).to.be.at.most(5000));
+      expect(chunks.join(' ')).to.equal(text);
+    });
+
+    it('omits empty and whitespace only chunks', () => {
+      expect(chunkText('', 10)).to.deep.equal([]);
+      expect(chunkText('abc\n          \ndef', 5)).to.deep.equal(['abc', 'def']);
+    });
+  });
+
+  describe('hasNextPage', () => {
+    it('uses links.next when present', () => {
+      expect(hasNextPage({ data: [1], links: { next: '/page/2' } }, 1)).to.equal(true);
+      expect(hasNextPage({ data: [1, 2], links: { next: null } }, 1)).to.equal(false);
+    });
+
+    it('continues until an empty page when there are no links or meta', () => {
+      expect(hasNextPage({ data: [1, 2] }, 1)).to.equal(true);
+      expect(hasNextPage({ data: [] }, 2)).to.equal(false);
+    });
+
+    it('uses the total page count from meta', () => {
+      expect(hasNextPage({ data: [1], meta: { 'total-pages': 3 } }, 2)).to.equal(true);
+      expect(hasNextPage({ data: [1], meta: { 'total-pages': 3 } }, 3)).to.equal(false);
+    });
+  });
+
+  describe('collect', () => {
+    async function* count() {
+      for (let i = 0; i < 5; i++) {
+        yield i;
+      }
+    }
+
+    it('collects up to max values', async () => {
+      expect(await collect(count())).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(await collect(count(), 2)).to.deep.equal([0, 1]);
+    });
+  });
+
+  describe('toTagRows', () => {
+    it('merges tags per entity and omits entities without tags', () => {
+      const tagsByEntity = new Map();
+      addEntityTags(tagsByEntity, 'a', ['x', 'y']);
+      addEntityTags(tagsByEntity, 'a', ['y', 'z']);
+      addEntityTags(tagsByEntity, 'b', []);
+
+      expect(toTagRows(tagsByEntity)).to.deep.equal([['a', 'x', 'y', 'z']]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const { IntegrationMonitor } = require('../lib/integration-monitor');
+
+/**
+ * Returns a stand-in for a connected Polarity instance whose integrations have the given statuses
+ */
+function createPolarity(statuses) {
+  const noop = () => {};
+  return {
+    statuses,
+    restarts: [],
+    logger: { error: noop, warn: noop, debug: noop },
+    getIntegrations: async () => ({
+      data: Object.entries(statuses).map(([id, status]) => ({ id, attributes: { name: id, status } }))
+    }),
+    restartIntegrationById: async function (integrationId) {
+      this.restarts.push(integrationId);
+    }
+  };
+}
+
+describe('IntegrationMonitor', () => {
+  it('emits down and recovered events', async () => {
+    const polarity = createPolarity({ virustotal: 'running' });
+    const monitor = new IntegrationMonitor(polarity);
+    const events = [];
+    monitor.on('down', ({ integrationId }) => events.push(['down', integrationId]));
+    monitor.on('recovered', ({ integrationId }) => events.push(['recovered', integrationId]));
+
+    await monitor.poll();
+    polarity.statuses.virustotal = 'failed';
+    await monitor.poll();
+    polarity.statuses.virustotal = 'running';
+    await monitor.poll();
+
+    expect(events).to.deep.equal([
+      ['down', 'virustotal'],
+      ['recovered', 'virustotal']
+    ]);
+  });
+
+  it('does not restart an integration again during the restart cool-down', async () => {
+    const polarity = createPolarity({ virustotal: 'failed' });
+    const monitor = new IntegrationMonitor(polarity, { autoRestart: true, restartCooldown: 60000 });
+
+    await monitor.poll();
+    await monitor.poll();
+    await monitor.poll();
+
+    expect(polarity.restarts).to.deep.equal(['virustotal']);
+  });
+
+  it('opens the circuit after maxRestartsPerHour restarts', async () => {
+    const polarity = createPolarity({ virustotal: 'failed' });
+    const monitor = new IntegrationMonitor(polarity, { autoRestart: true, restartCooldown: 0, maxRestartsPerHour: 2 });
+    const circuitOpen = [];
+    monitor.on('circuit-open', ({ integrationId }) => circuitOpen.push(integrationId));
+
+    for (let i = 0; i < 4; i++) {
+      await monitor.poll();
+    }
+
+    expect(polarity.restarts).to.deep.equal(['virustotal', 'virustotal']);
+    expect(circuitOpen).to.deep.equal(['virustotal']);
+    expect(monitor.getSummary().integrations[0]).to.include({ restarts: 2, circuitOpen: true });
+  });
+
+  it('still processes the other integrations when processing one integration fails', async () => {
+    const polarity = createPolarity({ virustotal: 'failed', shodan: 'failed' });
+    const monitor = new IntegrationMonitor(polarity, { autoRestart: true });
+    const failures = [];
+    monitor.on('down', ({ integrationId }) => {
+      if (integrationId === 'virustotal') {
+        throw new Error('listener failed');
+      }
+    });
+    monitor.on('poll-failed', ({ integrationId, error }) => failures.push([integrationId, error.message]));
+
+    await monitor.poll();
+
+    expect(failures).to.deep.equal([['virustotal', 'listener failed']]);
+    expect(polarity.restarts).to.deep.equal(['shodan']);
+    expect(monitor.getSummary().integrations.map((integration) => integration.integrationId)).to.deep.equal([
+      'virustotal',
+      'shodan'
+    ]);
+  });
+
+  it('keeps polling when an event listener throws', async () => {
+    const polarity = createPolarity({ virustotal: 'failed' });
+    const monitor = new IntegrationMonitor(polarity, { interval: 1 });
+    const errors = [];
+    monitor.on('down', () => {
+      throw new Error('listener failed');
+    });
+
+    await new Promise((resolve) => {
+      monitor.on('poll-failed', ({ error }) => {
+        errors.push(error.message);
+        monitor.stop();
+        resolve();
+      });
+      monitor.start();
+    });
+
+    expect(errors).to.deep.equal(['listener failed']);
+  });
+});
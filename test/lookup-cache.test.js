@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LookupCache, MemoryCacheStore, FileCacheStore } = require('../lib/lookup-cache');
+
+const entity = { type: 'IPv4', value: '8.8.8.8' };
+
+describe('lookup-cache', () => {
+  describe('LookupCache', () => {
+    const realNow = Date.now;
+    let now;
+
+    beforeEach(() => {
+      now = 1000;
+      Date.now = () => now;
+    });
+
+    afterEach(() => {
+      Date.now = realNow;
+    });
+
+    it('returns cached results until the ttl expires', async () => {
+      const cache = new LookupCache({ ttl: 100 });
+      await cache.set('virustotal', entity, { entity });
+
+      now += 99;
+      expect(await cache.get('virustotal', entity)).to.deep.equal({ entity });
+      now += 1;
+      expect(await cache.get('virustotal', entity)).to.equal(undefined);
+      expect(cache.getStats()).to.deep.equal({
+        hits: 1,
+        misses: 1,
+        hitRate: 0.5,
+        byIntegration: { virustotal: { hits: 1, misses: 1 } }
+      });
+    });
+
+    it('matches entity values case-insensitively', async () => {
+      const cache = new LookupCache();
+      await cache.set('virustotal', { type: 'domain', value: 'Example.com' }, { id: 1 });
+
+      expect(await cache.get('virustotal', { type: 'domain', value: 'example.COM' })).to.deep.equal({ id: 1 });
+    });
+
+    it('uses per integration ttls and does not cache with a ttl of 0', async () => {
+      const cache = new LookupCache({ ttl: 100, ttlByIntegration: { shodan: 1000, urlhaus: 0 } });
+      await cache.set('shodan', entity, { id: 1 });
+      await cache.set('urlhaus', entity, { id: 2 });
+
+      now += 500;
+      expect(await cache.get('shodan', entity)).to.deep.equal({ id: 1 });
+      expect(await cache.get('urlhaus', entity)).to.equal(undefined);
+    });
+
+    it('caches entities without a result as null', async () => {
+      const cache = new LookupCache();
+      await cache.set('virustotal', entity, null);
+
+      expect(await cache.get('virustotal', entity)).to.equal(null);
+    });
+  });
+
+  describe('MemoryCacheStore', () => {
+    it('evicts the least recently used entry', async () => {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.get('a');
+      await store.set('c', 3);
+
+      expect(await store.get('a')).to.equal(1);
+      expect(await store.get('b')).to.equal(undefined);
+      expect(await store.get('c')).to.equal(3);
+    });
+  });
+
+  describe('FileCacheStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'polarity-lookup-cache-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('stores entries as files that can be read by another store', async () => {
+      await new FileCacheStore({ directory }).set('key', { expires: 1, result: { id: 1 } });
+
+      const store = new FileCacheStore({ directory });
+      expect(await store.get('key')).to.deep.equal({ expires: 1, result: { id: 1 } });
+      await store.delete('key');
+      expect(await store.get('key')).to.equal(undefined);
+    });
+
+    it('only removes cache entry files when cleared', async () => {
+      const store = new FileCacheStore({ directory });
+      await store.set('key', { expires: 1, result: null });
+      await fs.promises.writeFile(path.join(directory, 'notes.txt'), 'keep me');
+
+      await store.clear();
+
+      expect(await fs.promises.readdir(directory)).to.deep.equal(['notes.txt']);
+    });
+  });
+});
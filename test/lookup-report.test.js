@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { normalizeSearchResults, formatLookupReport } = require('../lib/lookup-report');
+const { ValidationError } = require('../lib/error');
+
+describe('lookup-report', () => {
+  const searchResults = {
+    virustotal: [
+      {
+        entity: { value: '8.8.8.8', type: 'IPv4' },
+        data: { summary: ['Malicious: 0', { text: 'Harmless: 70' }], details: { positives: 0 } }
+      },
+      { entity: { value: 'evil.com', type: 'domain' }, data: null }
+    ],
+    legacy: [{ entity: { value: '8.8.8.8', type: 'IPv4' }, data: { summary: { tags: ['Seen'] }, details: {} } }],
+    __errors: { abuseipdb: [new Error('Failed to run integration lookup for abuseipdb')] }
+  };
+
+  describe('normalizeSearchResults', () => {
+    it('groups integration results by entity', () => {
+      const report = normalizeSearchResults(searchResults);
+
+      expect(report.entities.map((entity) => entity.value)).to.deep.equal(['8.8.8.8', 'evil.com']);
+      expect(report.entities[0].integrations[0]).to.deep.equal({
+        integrationId: 'virustotal',
+        hasData: true,
+        summary: ['Malicious: 0', 'Harmless: 70'],
+        details: { positives: 0 },
+        error: null
+      });
+      expect(report.entities[1].integrations[0]).to.include({ integrationId: 'virustotal', hasData: false });
+    });
+
+    it('accepts summaries with a tags property', () => {
+      const report = normalizeSearchResults(searchResults);
+      expect(report.entities[0].integrations[1].summary).to.deep.equal(['Seen']);
+    });
+
+    it('adds failed integrations to every entity', () => {
+      const report = normalizeSearchResults(searchResults);
+
+      expect(report.errors).to.deep.equal([
+        { integrationId: 'abuseipdb', error: 'Failed to run integration lookup for abuseipdb' }
+      ]);
+      report.entities.forEach((entity) =>
+        expect(entity.integrations.find((integration) => integration.integrationId === 'abuseipdb')).to.include({
+          error: 'Failed to run integration lookup for abuseipdb'
+        })
+      );
+    });
+  });
+
+  describe('formatLookupReport', () => {
+    const report = normalizeSearchResults(searchResults);
+
+    it('renders one csv row per entity and integration', () => {
+      const lines = formatLookupReport(report, 'csv').split('\n');
+
+      expect(lines[0]).to.equal('entity,type,integration,summary,error');
+      expect(lines[1]).to.equal('8.8.8.8,IPv4,virustotal,Malicious: 0; Harmless: 70,');
+      expect(lines).to.have.length(6);
+    });
+
+    it('renders markdown and escapes table cells', () => {
+      const markdown = formatLookupReport(report, 'markdown', { title: 'Report' });
+
+      expect(markdown).to.contain('# Report');
+      expect(markdown).to.contain('| virustotal | Malicious: 0, Harmless: 70 |  |');
+      expect(markdown).to.contain('| virustotal | No data |  |');
+    });
+
+    it('escapes html', () => {
+      const html = formatLookupReport(normalizeSearchResults({ x: [] }), 'html', { title: '<script>' });
+
+      expect(html).to.contain('<title>&lt;script&gt;</title>');
+      expect(html).to.contain('No entities found.');
+    });
+
+    it('rejects unknown formats', () => {
+      expect(() => formatLookupReport(report, 'pdf')).to.throw(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { expect } = require('chai');
+const { mispEventToRows, getAttributeValues } = require('../lib/misp');
+const { ValidationError } = require('../lib/error');
+
+describe('misp', () => {
+  describe('getAttributeValues', () => {
+    it('returns the value of supported attribute types', () => {
+      expect(getAttributeValues({ type: 'ip-dst', value: '1.2.3.4' })).to.deep.equal(['1.2.3.4']);
+      expect(getAttributeValues({ type: 'filename', value: 'a.exe' })).to.deep.equal([]);
+    });
+
+    it('returns the supported parts of composite attributes', () => {
+      expect(getAttributeValues({ type: 'domain|ip', value: 'evil.com|1.2.3.4' })).to.deep.equal([
+        'evil.com',
+        '1.2.3.4'
+      ]);
+      expect(
+        getAttributeValues({ type: 'filename|md5', value: 'a.exe|d41d8cd98f00b204e9800998ecf8427e' })
+      ).to.deep.equal(['d41d8cd98f00b204e9800998ecf8427e']);
+    });
+  });
+
+  describe('mispEventToRows', () => {
+    const event = {
+      Event: {
+        info: 'Phishing campaign',
+        Tag: [{ name: 'tlp:amber' }],
+        Attribute: [
+          { type: 'domain', value: 'evil.com', category: 'Network activity', to_ids: true, Tag: [{ name: 'c2' }] },
+          { type: 'ip-dst', value: '1.2.3.4', category: 'Network activity', to_ids: '0' },
+          { type: 'comment', value: 'ignored', category: 'Other', to_ids: false }
+        ],
+        Object: [{ Attribute: [{ type: 'sha256', value: 'abc', category: 'Payload delivery', to_ids: '1' }] }]
+      }
+    };
+
+    it('tags entities with the event info, tags and category', () => {
+      expect(mispEventToRows(event)).to.deep.equal([
+        ['evil.com', 'Phishing campaign', 'tlp:amber', 'c2', 'Network activity'],
+        ['1.2.3.4', 'Phishing campaign', 'tlp:amber', 'Network activity'],
+        ['abc', 'Phishing campaign', 'tlp:amber', 'Payload delivery']
+      ]);
+    });
+
+    it('skips attributes without to_ids when idsOnly is set', () => {
+      const rows = mispEventToRows(JSON.stringify(event), { idsOnly: true, tagFrom: [], additionalTags: ['misp'] });
+      expect(rows).to.deep.equal([
+        ['evil.com', 'misp'],
+        ['abc', 'misp']
+      ]);
+    });
+
+    it('rejects input that is not an event', () => {
+      expect(() => mispEventToRows({ Attribute: 'x' })).to.throw(ValidationError);
+    });
+  });
+});
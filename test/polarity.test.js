@@ -0,0 +1,349 @@
+const { expect } = require('chai');
+const Polarity = require('../lib/polarity');
+const { AuthenticationError } = require('../lib/error');
+
+/**
+ * Returns a connected Polarity instance whose requests are answered by `handler(requestOptions)`, which returns
+ * `{ statusCode, body }`.  Requests are recorded in `polarity.requests`.
+ */
+function createPolarity(handler) {
+  const polarity = new Polarity();
+  polarity.host = 'https://polarity.test';
+  polarity.isConnected = true;
+  polarity.requests = [];
+  polarity.postmanRequest = (requestOptions, cb) => {
+    polarity.requests.push(requestOptions);
+    const response = handler(requestOptions);
+    setImmediate(() => cb(null, response, response.body));
+  };
+  return polarity;
+}
+
+describe('Polarity', () => {
+  describe('connect', () => {
+    function connectWithToken(statusCode) {
+      const polarity = new Polarity();
+      const requests = [];
+      polarity._createDefaultRequest = () => (requestOptions, cb) => {
+        requests.push(requestOptions);
+        setImmediate(() => cb(null, { statusCode }, {}));
+      };
+      return { polarity, requests, connecting: polarity.connect({ host: 'https://polarity.test', token: 'abc' }) };
+    }
+
+    it('verifies an API token with an authenticated request', async () => {
+      const { polarity, requests, connecting } = connectWithToken(200);
+      await connecting;
+
+      expect(requests).to.have.length(1);
+      expect(requests[0]).to.include({ method: 'GET', uri: 'https://polarity.test/v2/channels' });
+      expect(polarity.isConnected).to.equal(true);
+    });
+
+    [401, 403].forEach((statusCode) => {
+      it(`rejects with an AuthenticationError when the token is rejected with ${statusCode}`, async () => {
+        const { polarity, connecting } = connectWithToken(statusCode);
+
+        let error;
+        try {
+          await connecting;
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect(polarity.isConnected).to.equal(false);
+      });
+    });
+  });
+
+  describe('re-authentication', () => {
+    /**
+     * Returns a Polarity instance connected with `connectOptions` whose session has expired.  Requests fail with a
+     * 401 until an authenticate request succeeds, which only happens if `authStatusCode` is 200.
+     */
+    function createExpiredSession({
+      authStatusCode = 200,
+      connectOptions = { username: 'admin', password: 'pw' }
+    } = {}) {
+      const polarity = new Polarity();
+      const requests = [];
+      let authenticated = false;
+      polarity.host = 'https://polarity.test';
+      polarity.isConnected = true;
+      polarity._authVersion = 'v2';
+      polarity._connectOptions = { host: polarity.host, ...connectOptions };
+      polarity.postmanRequest = polarity._withReauthentication((requestOptions, cb) => {
+        requests.push(requestOptions);
+        let statusCode = authenticated ? 200 : 401;
+        if (requestOptions.uri.endsWith('/authenticate')) {
+          statusCode = authStatusCode;
+          authenticated = statusCode === 200;
+        }
+        setImmediate(() => cb(null, { statusCode }, {}));
+      });
+      const authRequests = () => requests.filter((request) => request.uri.endsWith('/authenticate'));
+      return { polarity, requests, authRequests };
+    }
+
+    it('replays a request that fails with a 401 once after re-authenticating', async () => {
+      const { polarity, requests, authRequests } = createExpiredSession();
+      const events = [];
+      polarity.on('reauthenticated', (event) => events.push(event));
+
+      await polarity.deleteAnnotationById(1);
+
+      expect(requests.map((request) => request.uri)).to.deep.equal([
+        'https://polarity.test/v2/tag-entity-pairs/1',
+        'https://polarity.test/v2/authenticate',
+        'https://polarity.test/v2/tag-entity-pairs/1'
+      ]);
+      expect(authRequests()[0].body).to.deep.equal({ identification: 'admin', password: 'pw' });
+      expect(events).to.deep.equal([{ uri: 'https://polarity.test/v2/tag-entity-pairs/1', method: 'DELETE' }]);
+    });
+
+    it('shares one re-authentication between concurrent requests', async () => {
+      const { polarity, requests, authRequests } = createExpiredSession();
+
+      await Promise.all([polarity.deleteAnnotationById(1), polarity.deleteAnnotationById(2)]);
+
+      expect(authRequests()).to.have.length(1);
+      expect(requests).to.have.length(5);
+    });
+
+    it('disconnects and rejects with the original 401 when re-authentication fails', async () => {
+      const { polarity, requests } = createExpiredSession({ authStatusCode: 401 });
+
+      let error;
+      try {
+        await polarity.deleteAnnotationById(1);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(AuthenticationError);
+      expect(polarity.isConnected).to.equal(false);
+      expect(requests).to.have.length(2);
+    });
+
+    it('does not re-authenticate when connected with an API token', async () => {
+      const { polarity, requests } = createExpiredSession({ connectOptions: { token: 'abc' } });
+
+      let error;
+      try {
+        await polarity.deleteAnnotationById(1);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(AuthenticationError);
+      expect(polarity.isConnected).to.equal(true);
+      expect(requests.map((request) => request.uri)).to.deep.equal(['https://polarity.test/v2/tag-entity-pairs/1']);
+    });
+  });
+
+  describe('applyTags', () => {
+    const uploadedPairs = (polarity) =>
+      polarity.requests.flatMap((request) => request.body.data.map((pair) => pair.attributes));
+
+    it('refangs entities, reports them with the refanged event and resolves the upload response', async () => {
+      const polarity = createPolarity(() => ({ statusCode: 201, body: { data: [], meta: { count: 2 } } }));
+      const rows = [
+        ['hxxp://evil[.]com', 'malware'],
+        ['8.8.8.8', 'dns']
+      ];
+      const events = [];
+      polarity.on('refanged', (event) => events.push(event));
+
+      const result = await polarity.applyTags(rows, 3);
+
+      expect(result).to.deep.equal({ data: [], meta: { count: 2 } });
+      expect(events).to.deep.equal([
+        { channelId: 3, rewritten: [{ row: 0, original: 'hxxp://evil[.]com', refanged: 'http://evil.com' }] }
+      ]);
+      expect(uploadedPairs(polarity).map((pair) => [pair.entity, pair.type])).to.deep.equal([
+        ['http://evil.com', 'url'],
+        ['8.8.8.8', 'ip']
+      ]);
+    });
+
+    it('applies entityTypes keyed by the defanged or refanged value', async () => {
+      const polarity = createPolarity(() => ({ statusCode: 201, body: { data: [] } }));
+      const rows = [
+        ['evil[.]com', 'a'],
+        ['bad[.]com', 'b']
+      ];
+
+      await polarity.applyTags(rows, 3, false, { entityTypes: { 'evil[.]com': 'string', 'bad.com': 'string' } });
+
+      expect(uploadedPairs(polarity).map((pair) => [pair.entity, pair.type])).to.deep.equal([
+        ['evil.com', 'string'],
+        ['bad.com', 'string']
+      ]);
+    });
+
+    it('does not refang when refang is false', async () => {
+      const polarity = createPolarity(() => ({ statusCode: 201, body: { data: [] } }));
+
+      const events = [];
+      polarity.on('refanged', (event) => events.push(event));
+
+      await polarity.applyTags([['evil[.]com', 'a']], 3, false, { refang: false });
+
+      expect(events).to.deep.equal([]);
+      expect(uploadedPairs(polarity)[0].entity).to.equal('evil[.]com');
+    });
+  });
+
+  describe('integrationLookup', () => {
+    const cached = { type: 'IPv4', value: '8.8.8.8' };
+    const found = { type: 'domain', value: 'evil.com' };
+    const missing = { type: 'domain', value: 'nothing.com' };
+
+    function createLookupPolarity() {
+      const polarity = createPolarity((requestOptions) => {
+        const results = requestOptions.body.data.attributes.entities
+          .filter((entity) => entity !== missing)
+          .map((entity) => ({ entity, data: { summary: [entity.value] } }));
+        return { statusCode: 200, body: { data: { type: 'integration-lookups', attributes: { results } } } };
+      });
+      polarity.enableLookupCache();
+      return polarity;
+    }
+
+    const lookedUpEntities = (polarity) => polarity.requests.map((request) => request.body.data.attributes.entities);
+
+    it('merges cached results with fresh results and only looks up uncached entities', async () => {
+      const polarity = createLookupPolarity();
+      await polarity.integrationLookup('virustotal', [cached]);
+
+      const body = await polarity.integrationLookup('virustotal', [cached, found]);
+
+      expect(lookedUpEntities(polarity)).to.deep.equal([[cached], [found]]);
+      expect(body.data.attributes.results.map((result) => result.entity)).to.deep.equal([cached, found]);
+    });
+
+    it('caches entities the integration has no result for', async () => {
+      const polarity = createLookupPolarity();
+      await polarity.integrationLookup('virustotal', [found, missing]);
+
+      const body = await polarity.integrationLookup('virustotal', [found, missing]);
+
+      expect(lookedUpEntities(polarity)).to.deep.equal([[found, missing]]);
+      expect(body.data.attributes.results.map((result) => result.entity)).to.deep.equal([found]);
+      expect(polarity.lookupCache.getStats()).to.include({ hits: 2, misses: 2 });
+    });
+  });
+
+  describe('iterateSearchableItems', () => {
+    it('does not stop early when the server caps the page size', async () => {
+      const polarity = createPolarity(() => ({ statusCode: 200, body: { data: [] } }));
+      const items = [1, 2, 3, 4, 5];
+      const pageSizeCap = 2;
+      polarity.search = async (options) => {
+        const start = (options['page[number]'] - 1) * pageSizeCap;
+        return { data: items.slice(start, start + pageSizeCap) };
+      };
+
+      const results = [];
+      for await (const item of polarity.iterateSearchableItems({}, { pageSize: 1000 })) {
+        results.push(item);
+      }
+
+      expect(results).to.deep.equal(items);
+    });
+  });
+
+  describe('syncChannel', () => {
+    const searchableItems = [
+      { id: '1', attributes: { 'tag-entity-pair-id': 1, 'searchable-item-name': '8.8.8.8', 'tag-name': 'DNS' } },
+      { id: '2', attributes: { 'tag-entity-pair-id': 2, 'searchable-item-name': 'evil.com', 'tag-name': 'old' } },
+      { id: '3', attributes: { 'tag-entity-pair-id': 3, 'searchable-item-name': 'orphan.com', 'tag-name': null } },
+      { id: '4', attributes: { 'tag-entity-pair-id': 4, 'tag-name': 'orphan' } }
+    ];
+    const rows = [
+      ['8.8.8.8', 'dns'],
+      ['hxxp://evil[.]com', 'malware']
+    ];
+
+    function createSyncPolarity() {
+      const polarity = createPolarity((requestOptions) =>
+        requestOptions.method === 'DELETE' ? { statusCode: 200, body: {} } : { statusCode: 201, body: { data: [] } }
+      );
+      polarity.search = async (options) => ({ data: options['page[number]'] === 1 ? searchableItems : [] });
+      return polarity;
+    }
+
+    const expectedPlan = {
+      summary: { added: 1, kept: 1, removed: 1 },
+      added: [{ entity: 'http://evil.com', tag: 'malware' }],
+      kept: [{ annotationId: 1, entity: '8.8.8.8', tag: 'DNS' }],
+      removed: [{ annotationId: 2, entity: 'evil.com', tag: 'old' }],
+      refanged: [{ row: 1, original: 'hxxp://evil[.]com', refanged: 'http://evil.com' }]
+    };
+
+    it('plans added, kept and removed pairs and skips annotations without a tag or entity', async () => {
+      const polarity = createSyncPolarity();
+
+      const plan = await polarity.syncChannel(3, rows, { dryRun: true });
+
+      expect(plan).to.deep.equal(expectedPlan);
+      expect(polarity.requests).to.deep.equal([]);
+    });
+
+    it('applies added pairs and deletes removed annotations', async () => {
+      const polarity = createSyncPolarity();
+
+      const plan = await polarity.syncChannel(3, rows);
+
+      expect(plan).to.deep.equal(expectedPlan);
+      const [upload, ...deletes] = polarity.requests;
+      expect(upload.body.data.map((pair) => [pair.attributes.entity, pair.attributes.tag])).to.deep.equal([
+        ['http://evil.com', 'malware']
+      ]);
+      expect(deletes.map((request) => [request.method, request.uri])).to.deep.equal([
+        ['DELETE', 'https://polarity.test/v2/tag-entity-pairs/2']
+      ]);
+    });
+
+    it('keeps annotations missing from rows when deleteMissing is false', async () => {
+      const polarity = createSyncPolarity();
+
+      const plan = await polarity.syncChannel(3, rows, { deleteMissing: false });
+
+      expect(plan.summary).to.deep.equal({ added: 1, kept: 1, removed: 0 });
+      expect(polarity.requests.filter((request) => request.method === 'DELETE')).to.deep.equal([]);
+    });
+  });
+
+  describe('provisionUsers', () => {
+    const rows = [
+      { username: 'existing', email: 'existing@example.com' },
+      { username: 'new', email: 'new@example.com', password: 'secret' }
+    ];
+
+    function createProvisioningPolarity() {
+      const polarity = createPolarity(() => ({ statusCode: 200, body: {} }));
+      polarity.getUserByUsername = async (username) => (username === 'existing' ? { id: '1' } : undefined);
+      polarity.updateUser = async () => ({});
+      polarity.createUser = async () => ({ data: { id: '2' } });
+      return polarity;
+    }
+
+    it('counts created and updated users', async () => {
+      const { summary } = await createProvisioningPolarity().provisionUsers(rows, { updateExisting: true });
+
+      expect(summary).to.deep.equal({ created: 1, updated: 1, wouldCreate: 0, wouldUpdate: 0, skipped: 0, failed: 0 });
+    });
+
+    it('counts dry run outcomes separately from real changes', async () => {
+      const { summary, results } = await createProvisioningPolarity().provisionUsers(rows, {
+        dryRun: true,
+        updateExisting: true
+      });
+
+      expect(results.map((result) => result.outcome)).to.deep.equal(['would-update', 'would-create']);
+      expect(summary).to.deep.equal({ created: 0, updated: 0, wouldCreate: 1, wouldUpdate: 1, skipped: 0, failed: 0 });
+    });
+  });
+});
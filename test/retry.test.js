@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const { withRetry } = require('../lib/retry');
+
+const noopLogger = { warn: () => {} };
+
+/**
+ * Returns a fake request function that replies with the given `[err, response]` pairs in order
+ */
+function createRequestFn(replies) {
+  const calls = [];
+  const requestFn = (options, cb) => {
+    calls.push(options);
+    const [err, response] = replies[Math.min(calls.length - 1, replies.length - 1)];
+    setImmediate(() => cb(err, response, response ? response.body : undefined));
+  };
+  requestFn.calls = calls;
+  return requestFn;
+}
+
+function send(requestFn, requestOptions) {
+  return new Promise((resolve) => requestFn(requestOptions, (err, response) => resolve({ err, response })));
+}
+
+describe('withRetry', () => {
+  const fastPolicy = { baseDelay: 1, maxDelay: 5 };
+
+  it('retries idempotent requests that fail with a retryable status', async () => {
+    const requestFn = createRequestFn([
+      [null, { statusCode: 503 }],
+      [null, { statusCode: 200 }]
+    ]);
+    const { response } = await send(withRetry(requestFn, fastPolicy, noopLogger), { uri: '/x', method: 'GET' });
+
+    expect(response.statusCode).to.equal(200);
+    expect(requestFn.calls).to.have.length(2);
+  });
+
+  it('stops after maxAttempts', async () => {
+    const requestFn = createRequestFn([[null, { statusCode: 500 }]]);
+    const { response } = await send(withRetry(requestFn, { ...fastPolicy, maxAttempts: 3 }, noopLogger), {
+      uri: '/x',
+      method: 'GET'
+    });
+
+    expect(response.statusCode).to.equal(500);
+    expect(requestFn.calls).to.have.length(3);
+  });
+
+  it('does not retry non-idempotent requests unless they opt in', async () => {
+    const requestFn = createRequestFn([
+      [null, { statusCode: 503 }],
+      [null, { statusCode: 200 }]
+    ]);
+    await send(withRetry(requestFn, fastPolicy, noopLogger), { uri: '/x', method: 'POST' });
+    expect(requestFn.calls).to.have.length(1);
+
+    const optInRequestFn = createRequestFn([
+      [null, { statusCode: 503 }],
+      [null, { statusCode: 200 }]
+    ]);
+    await send(withRetry(optInRequestFn, fastPolicy, noopLogger), { uri: '/x', method: 'POST', retry: true });
+    expect(optInRequestFn.calls).to.have.length(2);
+  });
+
+  it('strips the retry option before calling the request function', async () => {
+    const requestFn = createRequestFn([[null, { statusCode: 200 }]]);
+    await send(withRetry(requestFn, fastPolicy, noopLogger), { uri: '/x', method: 'POST', retry: true });
+
+    expect(requestFn.calls[0]).to.not.have.property('retry');
+  });
+
+  it('retries network errors with a retryable code only', async () => {
+    const resetError = Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+    const requestFn = createRequestFn([[resetError], [null, { statusCode: 200 }]]);
+    const { response } = await send(withRetry(requestFn, fastPolicy, noopLogger), { uri: '/x', method: 'GET' });
+    expect(response.statusCode).to.equal(200);
+
+    const otherError = Object.assign(new Error('bad cert'), { code: 'CERT_HAS_EXPIRED' });
+    const failingRequestFn = createRequestFn([[otherError]]);
+    const { err } = await send(withRetry(failingRequestFn, fastPolicy, noopLogger), { uri: '/x', method: 'GET' });
+    expect(err).to.equal(otherError);
+    expect(failingRequestFn.calls).to.have.length(1);
+  });
+
+  it('disables retries when the retry options are false', async () => {
+    const requestFn = createRequestFn([[null, { statusCode: 503 }]]);
+    await send(withRetry(requestFn, false, noopLogger), { uri: '/x', method: 'GET' });
+
+    expect(requestFn.calls).to.have.length(1);
+  });
+
+  describe('backoff', () => {
+    function getDelays(replies, retryOptions) {
+      const delays = [];
+      const logger = { warn: (message) => delays.push(parseInt(/in (\d+)ms/.exec(message)[1], 10)) };
+      const requestFn = createRequestFn(replies);
+      return send(withRetry(requestFn, retryOptions, logger), { uri: '/x', method: 'GET' }).then(() => delays);
+    }
+
+    it('uses exponential backoff with full jitter capped at maxDelay', async () => {
+      const delays = await getDelays([[null, { statusCode: 503 }]], { maxAttempts: 4, baseDelay: 4, maxDelay: 10 });
+
+      expect(delays).to.have.length(3);
+      expect(delays[0]).to.be.within(0, 3);
+      expect(delays[1]).to.be.within(0, 7);
+      expect(delays[2]).to.be.within(0, 9);
+    });
+
+    it('honors a Retry-After header in seconds capped at maxDelay', async () => {
+      const delays = await getDelays(
+        [
+          [null, { statusCode: 429, headers: { 'retry-after': '1' } }],
+          [null, { statusCode: 200 }]
+        ],
+        { baseDelay: 1, maxDelay: 20 }
+      );
+
+      expect(delays).to.deep.equal([20]);
+    });
+
+    it('honors a Retry-After header with an HTTP date', async () => {
+      const retryAt = new Date(Date.now() + 60000).toUTCString();
+      const delays = await getDelays(
+        [
+          [null, { statusCode: 503, headers: { 'retry-after': retryAt } }],
+          [null, { statusCode: 200 }]
+        ],
+        { baseDelay: 1, maxDelay: 15 }
+      );
+
+      expect(delays).to.deep.equal([15]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const { stixBundleToRows, getPatternValues } = require('../lib/stix');
+const { ValidationError } = require('../lib/error');
+
+describe('stix', () => {
+  describe('getPatternValues', () => {
+    it('returns values of supported equality comparisons', () => {
+      const pattern =
+        "[ipv4-addr:value = '1.2.3.4'] OR [file:hashes.'SHA-256' = 'abc123'] OR [process:name = 'cmd.exe']";
+      expect(getPatternValues(pattern)).to.deep.equal(['1.2.3.4', 'abc123']);
+    });
+
+    it('unescapes quoted values', () => {
+      expect(getPatternValues("[url:value = 'http://x.com/it\\'s']")).to.deep.equal(["http://x.com/it's"]);
+    });
+  });
+
+  describe('stixBundleToRows', () => {
+    const indicator = {
+      type: 'indicator',
+      id: 'indicator--1',
+      name: 'Bad domain',
+      indicator_types: ['malicious-activity'],
+      pattern_type: 'stix',
+      pattern: "[domain-name:value = 'x.com']",
+      kill_chain_phases: [{ kill_chain_name: 'lockheed-martin-cyber-kill-chain', phase_name: 'delivery' }]
+    };
+
+    it('tags indicator entities with labels, name and kill chain phases', () => {
+      expect(stixBundleToRows({ type: 'bundle', objects: [indicator] })).to.deep.equal([
+        ['x.com', 'malicious-activity', 'Bad domain', 'delivery']
+      ]);
+    });
+
+    it('only uses the tag sources listed in tagFrom', () => {
+      expect(stixBundleToRows({ type: 'bundle', objects: [indicator] }, { tagFrom: ['name'] })).to.deep.equal([
+        ['x.com', 'Bad domain']
+      ]);
+    });
+
+    it('only parses stix patterns', () => {
+      const objects = ['sigma', 'yara', 'snort', 'suricata', 'pcre'].map((patternType) => ({
+        ...indicator,
+        pattern_type: patternType,
+        pattern: 'alert ip any any -> any any (msg:"[ipv4-addr:value = \'6.6.6.6\']";)'
+      }));
+      expect(stixBundleToRows({ type: 'bundle', objects })).to.deep.equal([]);
+
+      const { pattern_type: patternType, ...withoutPatternType } = indicator;
+      expect(stixBundleToRows({ type: 'bundle', objects: [withoutPatternType] })).to.have.length(1);
+    });
+
+    it('tags indicators without labels, name or kill chain phases with their object type', () => {
+      const bareIndicator = { type: 'indicator', id: 'indicator--2', pattern: "[ipv4-addr:value = '1.2.3.4']" };
+      expect(stixBundleToRows({ type: 'bundle', objects: [bareIndicator] })).to.deep.equal([['1.2.3.4', 'indicator']]);
+    });
+
+    it('imports file hashes', () => {
+      const file = { type: 'file', id: 'file--1', hashes: { MD5: 'd41d8cd98f00b204e9800998ecf8427e' } };
+      expect(
+        stixBundleToRows(JSON.stringify({ type: 'bundle', objects: [file] }), { additionalTags: ['feed'] })
+      ).to.deep.equal([['d41d8cd98f00b204e9800998ecf8427e', 'file', 'feed']]);
+    });
+
+    it('tags cyber-observable objects without labels with their object type', () => {
+      const objects = [
+        indicator,
+        { type: 'ipv4-addr', id: 'ipv4-addr--1', value: '9.9.9.9' },
+        { type: 'domain-name', id: 'domain-name--1', value: 'bad.com' }
+      ];
+
+      expect(stixBundleToRows({ type: 'bundle', objects })).to.deep.equal([
+        ['x.com', 'malicious-activity', 'Bad domain', 'delivery'],
+        ['9.9.9.9', 'ipv4-addr'],
+        ['bad.com', 'domain-name']
+      ]);
+    });
+
+    it('tags cyber-observable objects with the tags of related indicators', () => {
+      const objects = [
+        { type: 'ipv4-addr', id: 'ipv4-addr--1', value: '9.9.9.9' },
+        { type: 'domain-name', id: 'domain-name--1', value: 'bad.com', labels: ['phishing'] },
+        { type: 'observed-data', id: 'observed-data--1', object_refs: ['ipv4-addr--1'] },
+        indicator,
+        {
+          type: 'relationship',
+          source_ref: 'indicator--1',
+          target_ref: 'observed-data--1',
+          relationship_type: 'based-on'
+        },
+        {
+          type: 'relationship',
+          source_ref: 'domain-name--1',
+          target_ref: 'indicator--1',
+          relationship_type: 'related-to'
+        }
+      ];
+
+      expect(stixBundleToRows({ type: 'bundle', objects }, { tagFrom: ['name'] })).to.deep.equal([
+        ['9.9.9.9', 'Bad domain'],
+        ['bad.com', 'phishing', 'Bad domain'],
+        ['x.com', 'Bad domain']
+      ]);
+    });
+
+    it('rejects input that is not a bundle', () => {
+      expect(() => stixBundleToRows({ type: 'indicator' })).to.throw(ValidationError);
+    });
+  });
+});
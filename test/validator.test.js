@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const { getEntityType, refangEntity, refangRows } = require('../lib/validator');
+
+describe('validator', () => {
+  describe('getEntityType', () => {
+    const cases = {
+      '8.8.8.8': 'ip',
+      '10.0.0.0/8': 'ip',
+      '10.0.0.1-10.0.0.5': 'ip',
+      '2001:db8::1': 'ip',
+      'https://evil.com/path?q=1': 'url',
+      'user@example.com': 'email',
+      d41d8cd98f00b204e9800998ecf8427e: 'md5',
+      da39a3ee5e6b4b0d3255bfef95601890afd80709: 'sha1',
+      e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855: 'sha256',
+      'CVE-2021-44228': 'cve',
+      '00:1a:2b:3c:4d:5e': 'mac',
+      'sub.example.co.uk': 'domain',
+      'not an entity': 'string',
+      'invoice.pdf': 'string',
+      'readme.txt': 'string',
+      'John.Smith': 'string',
+      'example.com': 'domain',
+      '256.1.1.1': 'string'
+    };
+
+    Object.entries(cases).forEach(([value, type]) => {
+      it(`detects ${value} as ${type}`, () => {
+        expect(getEntityType(value)).to.equal(type);
+      });
+    });
+  });
+
+  describe('refangEntity', () => {
+    const cases = {
+      'hxxp://evil[.]com': 'http://evil.com',
+      'hxxps[://]bad(.)org/path': 'https://bad.org/path',
+      '1.2.3[.]4': '1.2.3.4',
+      'user[@]example[.]com': 'user@example.com',
+      'fxp://files[.]example[.]com': 'ftp://files.example.com',
+      'evil[dot]com': 'evil.com',
+      'user(at)host(dot)com': 'user@host.com',
+      'evil\\.com': 'evil.com',
+      '8.8.8.8': '8.8.8.8',
+      'Meeting (at) noon': 'Meeting (at) noon',
+      'Meeting {at} noon (dot) Bring snacks': 'Meeting {at} noon (dot) Bring snacks',
+      'C:\\.config': 'C:\\.config'
+    };
+
+    Object.entries(cases).forEach(([value, refanged]) => {
+      it(`refangs ${value}`, () => {
+        expect(refangEntity(value)).to.equal(refanged);
+      });
+    });
+  });
+
+  describe('refangRows', () => {
+    it('reports the rows that were rewritten without modifying the input', () => {
+      const rows = [
+        ['hxxp://evil[.]com', 'malware'],
+        ['8.8.8.8', 'dns']
+      ];
+      const result = refangRows(rows);
+
+      expect(result.rows).to.deep.equal([
+        ['http://evil.com', 'malware'],
+        ['8.8.8.8', 'dns']
+      ]);
+      expect(result.rewritten).to.deep.equal([{ row: 0, original: 'hxxp://evil[.]com', refanged: 'http://evil.com' }]);
+      expect(rows[0][0]).to.equal('hxxp://evil[.]com');
+    });
+  });
+});